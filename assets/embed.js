@@ -0,0 +1,40 @@
+/* ─── zecstats widget loader ─── */
+// <script src="https://zecstats.info/embed.js" async></script>
+// <div data-zecstats-card="price" data-theme="light" data-currency="eur" data-size="sm" data-lang="es"></div>
+// Each placeholder becomes an iframe of /embed/<card> that grows to fit the card.
+(() => {
+  const script = document.currentScript;
+  const origin = new URL(script?.src ?? "/", window.location.href).origin;
+  const frames = new Map();
+
+  function mount(el) {
+    if (el.dataset.zecstatsMounted) return;
+    el.dataset.zecstatsMounted = "1";
+    const card = el.dataset.zecstatsCard;
+    const query = new URLSearchParams();
+    for (const key of ["theme", "currency", "size", "lang"]) {
+      if (el.dataset[key]) query.set(key, el.dataset[key]);
+    }
+
+    const frame = document.createElement("iframe");
+    frame.src = `${origin}/embed/${encodeURIComponent(card)}?${query}`;
+    frame.title = `Zcash ${card} (zecstats.info)`;
+    frame.loading = "lazy";
+    frame.style.cssText = "width:100%;height:320px;border:0;display:block;color-scheme:normal";
+    el.replaceChildren(frame);
+    frames.set(frame.contentWindow, frame);
+  }
+
+  window.addEventListener("message", (event) => {
+    if (event.origin !== origin || event.data?.type !== "zecstats:resize") return;
+    const frame = frames.get(event.source);
+    if (frame && event.data.height > 0) frame.style.height = `${Math.ceil(event.data.height)}px`;
+  });
+
+  function mountAll() {
+    document.querySelectorAll("[data-zecstats-card]").forEach(mount);
+  }
+
+  if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", mountAll);
+  else mountAll();
+})();
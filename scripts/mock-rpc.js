@@ -0,0 +1,169 @@
+// Minimal zcashd/zebrad JSON-RPC stand-in for running the API offline:
+//   MOCK_RPC_PORT=18232 npm run mock:rpc
+//   ZCASH_RPC_URL=http://127.0.0.1:18232 ZCASH_RPC_USER=totem ZCASH_RPC_PASSWORD=totem npm run start:api
+// The chain tip advances one block per 75s; pools drift slightly per block.
+// Address balances jump by 250 ZEC every two minutes, enough to trip watch-list events.
+// Blocks hold a coinbase plus a few transactions, roughly a third of them shielded.
+// Mempool transactions cycle through transparent/Sapling/Orchard/mixed and pay
+// 0.5x to 10x the ZIP 317 conventional fee.
+import express from "express";
+
+const PORT = Number(process.env.MOCK_RPC_PORT ?? 18232);
+const USER = process.env.MOCK_RPC_USER ?? "totem";
+const PASSWORD = process.env.MOCK_RPC_PASSWORD ?? "totem";
+const BLOCK_TIME_MS = 75_000;
+const START_HEIGHT = 3_100_000;
+const START_TIME = Date.now();
+
+const app = express();
+app.use(express.json());
+
+function tip() {
+  return START_HEIGHT + Math.floor((Date.now() - START_TIME) / BLOCK_TIME_MS);
+}
+
+function pool(id, chainValue) {
+  return {
+    id,
+    monitored: true,
+    chainValue: Number(chainValue.toFixed(8)),
+    chainValueZat: Math.round(chainValue * 1e8),
+  };
+}
+
+function mempoolTxids() {
+  const count = 5 + (Math.floor(Date.now() / 10_000) % 20);
+  return Array.from({ length: count }, (_, i) =>
+    (BigInt(i + 1) * 0x9e3779b97f4a7c15n).toString(16).padStart(64, "0").slice(-64)
+  );
+}
+
+function addressBalanceZats(address) {
+  const seed = [...address].reduce((sum, ch) => sum + ch.charCodeAt(0), 0);
+  const steps = Math.floor((Date.now() - START_TIME) / 120_000);
+  return (seed % 1_000) * 1_000 * 1e8 + steps * 250 * 1e8;
+}
+
+function blockTxs(height) {
+  const count = 2 + (height % 7);
+  const txs = [{ txid: `coinbase-${height}`, vin: [{ coinbase: "00" }], vout: [{}] }];
+  for (let i = 0; i < count; i++) {
+    const shielded = (height + i) % 3 === 0;
+    txs.push({
+      txid: `${height}-${i}`,
+      vin: [{ txid: "00", vout: 0 }],
+      vout: shielded ? [] : [{}],
+      orchard: { actions: shielded ? [{}, {}] : [] },
+    });
+  }
+  return txs;
+}
+
+const MEMPOOL_SHAPES = [
+  { vin: 2, vout: 2, spends: 0, outputs: 0, actions: 0 },
+  { vin: 0, vout: 0, spends: 1, outputs: 2, actions: 0 },
+  { vin: 0, vout: 0, spends: 0, outputs: 0, actions: 2 },
+  { vin: 1, vout: 0, spends: 0, outputs: 0, actions: 2 },
+];
+const FEE_MULTIPLES = [1, 1, 2, 0.5, 1, 6, 12];
+
+function mempoolTx(txid) {
+  const i = mempoolTxids().indexOf(txid);
+  if (i < 0) return null;
+  const shape = MEMPOOL_SHAPES[i % MEMPOOL_SHAPES.length];
+  const actions = Math.max(shape.vin, shape.vout) + Math.max(shape.spends, shape.outputs) + shape.actions;
+  const fee = 5_000 * Math.max(2, actions) * FEE_MULTIPLES[i % FEE_MULTIPLES.length];
+  return {
+    txid,
+    size: 400 + shape.vin * 150 + shape.vout * 34 + (shape.spends + shape.outputs) * 900 + shape.actions * 820,
+    fee: fee / 1e8,
+    vin: Array.from({ length: shape.vin }, () => ({ txid: "00", vout: 0 })),
+    vout: Array.from({ length: shape.vout }, () => ({})),
+    vShieldedSpend: Array.from({ length: shape.spends }, () => ({})),
+    vShieldedOutput: Array.from({ length: shape.outputs }, () => ({})),
+    orchard: { actions: Array.from({ length: shape.actions }, () => ({})) },
+  };
+}
+
+const methods = {
+  getblockchaininfo() {
+    const blocks = tip();
+    const mined = blocks - START_HEIGHT;
+    return {
+      chain: "main",
+      blocks,
+      headers: blocks,
+      estimatedheight: blocks,
+      bestblockhash: blocks.toString(16).padStart(64, "0"),
+      difficulty: 95_000_000,
+      verificationprogress: 1,
+      valuePools: [
+        pool("transparent", 4_600_000 - mined * 0.4),
+        pool("sprout", 25_000 - mined * 0.01),
+        pool("sapling", 1_020_000 - mined * 0.2),
+        pool("orchard", 3_850_000 + mined * 0.9),
+        pool("lockbox", 610_000 + mined * 0.1875),
+      ],
+    };
+  },
+  getmempoolinfo() {
+    const size = mempoolTxids().length;
+    return { size, bytes: size * 2_500, usage: size * 4_096 };
+  },
+  getrawmempool(verbose = false) {
+    if (!verbose) return mempoolTxids();
+    const now = Math.floor(Date.now() / 1000);
+    return Object.fromEntries(mempoolTxids().map((txid, i) => {
+      const { size, fee } = mempoolTx(txid);
+      return [txid, { size, fee, time: now - i * 7, height: tip() }];
+    }));
+  },
+  getrawtransaction(txid) {
+    const tx = mempoolTx(txid);
+    if (!tx) throw new Error("No such mempool transaction");
+    const { fee, ...decoded } = tx;
+    return decoded;
+  },
+  getnetworksolps() {
+    return 11_800_000_000;
+  },
+  getblock(heightOrHash, verbosity = 1) {
+    const height = Number(heightOrHash);
+    const tx = blockTxs(height);
+    return {
+      height,
+      hash: height.toString(16).padStart(64, "0"),
+      time: Math.floor(START_TIME / 1000) + (height - START_HEIGHT) * (BLOCK_TIME_MS / 1000),
+      tx: verbosity === 2 ? tx : tx.map((t) => t.txid),
+    };
+  },
+  getaddressbalance({ addresses = [] } = {}) {
+    const balance = addresses.reduce((sum, a) => sum + addressBalanceZats(a), 0);
+    return { balance, received: balance };
+  },
+};
+
+app.post("/", (req, res) => {
+  const header = req.get("authorization") ?? "";
+  const expected = `Basic ${Buffer.from(`${USER}:${PASSWORD}`).toString("base64")}`;
+  if (header !== expected) return res.status(401).end();
+
+  const { id = null, method, params = [] } = req.body ?? {};
+  const handler = methods[method];
+  if (!handler) {
+    return res.status(500).json({
+      result: null,
+      error: { code: -32601, message: "Method not found" },
+      id,
+    });
+  }
+  try {
+    res.json({ result: handler(...params), error: null, id });
+  } catch (err) {
+    res.status(500).json({ result: null, error: { code: -5, message: err.message }, id });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`mock RPC listening on http://127.0.0.1:${PORT} (user ${USER})`);
+});
@@ -0,0 +1,22 @@
+// Local stand-in for alert webhooks: prints every POST it receives.
+//   WEBHOOK_SINK_PORT=18400 npm run mock:webhooks
+// then point config.json "alerts".webhooks at it, e.g.
+//   { "url": "http://127.0.0.1:18400/discord", "format": "discord" }
+// Set WEBHOOK_SINK_STATUS=500 to watch the API's retries and failure logging.
+import express from "express";
+
+const PORT = Number(process.env.WEBHOOK_SINK_PORT ?? 18400);
+const STATUS = Number(process.env.WEBHOOK_SINK_STATUS ?? 204);
+
+const app = express();
+app.use(express.json());
+
+app.post("*", (req, res) => {
+  console.log(`${new Date().toISOString()} POST ${req.path}`);
+  console.log(JSON.stringify(req.body, null, 2));
+  res.status(STATUS).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`webhook sink listening on http://127.0.0.1:${PORT} (answering ${STATUS})`);
+});
@@ -1,191 +1,423 @@
 import express from "express";
 import cors from "cors";
-import axios from "axios";
-import https from "https";
+import fs from "fs/promises";
+import path from "path";
 import config from "./config.json" with { type: "json" };
+import { getJSON } from "./server/http.js";
+import { makeCache } from "./server/cache.js";
+import { sanitizeNumber } from "./server/util.js";
+import { makeHistoryStore, parseDuration, parseTime } from "./server/history.js";
+import { makeStreamHub } from "./server/stream.js";
+import { makeRpcClient } from "./server/rpc.js";
+import { issuanceSummary, observedBlockSeconds, TARGET_BLOCK_SECONDS } from "./shared/issuance.js";
+import { installLogRedaction, makePinnedAgent, readSecret } from "./server/secrets.js";
+import { holderAddresses, parseHolders, resolveHolder } from "./server/holders.js";
+import { makeWatchlist, parseWatchlist } from "./server/watchlist.js";
+import { summarizeMempool, TX_TYPES as MEMPOOL_TX_TYPES } from "./server/mempool.js";
+import { makeAlerts, parseAlertRules, parseWebhooks, sendWebhooks } from "./server/alerts.js";
+import { EMBED_CARD_RE, parseEmbedOrigins } from "./server/embed.js";
+import { parseThemes } from "./shared/themes.js";
+import { makeV1Router } from "./server/v1.js";
+import { gauge, METRICS_CONTENT_TYPE, renderMetrics } from "./server/metrics.js";
+import { IMAGE_CARDS, IMAGE_SIZES, IMAGE_THEMES, parseImageSize, renderCardSvg, svgToPng } from "./server/image.js";
+import {
+  makeProviderChain,
+  selectProviders,
+  coingeckoPrice,
+  coinpaprikaPrice,
+  zcashexplorerInfo,
+  blockchairInfo,
+  rpcInfo,
+  zcashmetroMempool,
+  blockchairMempool,
+  rpcMempool,
+  rpcMempoolDetail,
+  zcashmetroMempoolDetail,
+  rpcNetwork,
+  blockchairNetwork,
+  zcashexplorerNetwork,
+  rpcBalance,
+  threexplBalance,
+  blockchairBalance,
+} from "./server/providers.js";
+
+// Before anything can log: secrets are scrubbed from every console line
+installLogRedaction();
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-app.use(cors());
+// Behind a reverse proxy the client IP (for rate limiting) comes from
+// X-Forwarded-For: TRUST_PROXY=1 trusts one hop, or e.g. "loopback"
+const TRUST_PROXY = process.env.TRUST_PROXY ?? null;
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
+// Cross-origin API access and widget framing only for the configured sites
+const embedPolicy = parseEmbedOrigins(config.embed?.origins);
+app.use(cors({ origin: (origin, done) => done(null, embedPolicy.allowsApi(origin)) }));
 
 /* ─── upstream URLs ─── */
-const PRICE_URL_USD =
-  "https://api.coingecko.com/api/v3/coins/markets?vs_currency=usd&ids=zcash&price_change_percentage=24h";
-const PRICE_URL_BTC =
-  "https://api.coingecko.com/api/v3/coins/markets?vs_currency=btc&ids=zcash&price_change_percentage=24h";
 const TREASURY_URL =
   "https://api.coingecko.com/api/v3/companies/public_treasury/zcash";
-const INFO_URL =
-  "https://mainnet.zcashexplorer.app/api/v1/blockchain-info";
-const MEMPOOL_URL = "https://zcashmetro.io:3000/mempool";
+const MARKET_CHART_URL = "https://api.coingecko.com/api/v3/coins/zcash/market_chart";
+const OHLC_URL = "https://api.coingecko.com/api/v3/coins/zcash/ohlc";
 
 const LOCKBOX_MULTISIG_ADDRESS = "t3ev37Q2uL1sfTsiJQJiWJoFzQpDhmnUwYo";
-const LOCKBOX_MULTISIG_TOKEN =
-  process.env.THREEXPL_TOKEN ||
-  "3A0_t3st3xplor3rpub11cb3t4efcd21748a5e";
-const LOCKBOX_MULTISIG_URL = `https://api.3xpl.com/zcash/address/${LOCKBOX_MULTISIG_ADDRESS}?data=balances`;
 
 /* ─── tunables ─── */
-const REQUEST_TIMEOUT_MS    = Number(process.env.REQUEST_TIMEOUT_MS    ?? 10_000);
-const REQUEST_RETRIES       = Number(process.env.REQUEST_RETRIES       ?? 1);
-const REQUEST_RETRY_DELAY_MS = Number(process.env.REQUEST_RETRY_DELAY_MS ?? 1_000);
-
 const PRICE_CACHE_TTL_MS    = Number(process.env.PRICE_CACHE_TTL_MS    ?? 60_000);
 const TREASURY_CACHE_TTL_MS = Number(process.env.TREASURY_CACHE_TTL_MS ?? 15 * 60_000);
 const INFO_CACHE_TTL_MS     = Number(process.env.INFO_CACHE_TTL_MS     ?? 30_000);
 const MEMPOOL_CACHE_TTL_MS  = Number(process.env.MEMPOOL_CACHE_TTL_MS  ?? 8_000);
 const LOCKBOX_CACHE_TTL_MS  = Number(process.env.LOCKBOX_CACHE_TTL_MS  ?? 5 * 60_000);
+const ADDRESS_CACHE_TTL_MS  = Number(process.env.ADDRESS_CACHE_TTL_MS  ?? 5 * 60_000);
+const NETWORK_CACHE_TTL_MS  = Number(process.env.NETWORK_CACHE_TTL_MS  ?? 2 * 60_000);
+const MEMPOOL_DETAIL_CACHE_TTL_MS = Number(process.env.MEMPOOL_DETAIL_CACHE_TTL_MS ?? 15_000);
+// Transactions decoded per mempool refresh; the count covers the whole pool
+const MEMPOOL_DETAIL_MAX_TX       = Number(process.env.MEMPOOL_DETAIL_MAX_TX       ?? 500);
+// How many recent blocks a node is asked for to average interval and tx counts
+const NETWORK_SAMPLE_BLOCKS = Number(process.env.NETWORK_SAMPLE_BLOCKS ?? 20);
 
-const MEMPOOL_AGENT = new https.Agent({ rejectUnauthorized: false });
-const RETRYABLE_ERROR_CODES = new Set([
-  "ECONNABORTED",
-  "ETIMEDOUT",
-  "ECONNRESET",
-  "EPIPE",
-  "EHOSTUNREACH",
-  "ENETUNREACH",
-  "EAI_AGAIN",
-]);
+// Chart ranges → CoinGecko `days` and how long each one stays cached
+const CHART_RANGES = {
+  "24h": { days: 1, ttlMs: 5 * 60_000 },
+  "7d": { days: 7, ttlMs: 15 * 60_000 },
+  "30d": { days: 30, ttlMs: 60 * 60_000 },
+  "1y": { days: 365, ttlMs: 6 * 60 * 60_000 },
+};
+const CHART_TYPES = new Set(["line", "ohlc"]);
 
-/* ─── helpers ─── */
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
+const LAYOUTS_DIR = process.env.LAYOUTS_DIR ?? "layouts";
+const DEFAULT_LAYOUT = process.env.DEFAULT_LAYOUT ?? config.layout ?? "default";
+const THEMES = parseThemes(config.themes);
+const LAYOUT_NAME_RE = /^[a-z0-9_-]+$/i;
+
+// The built dashboard (npm run build), where the embed page, its assets and the loader come from
+const EMBED_DIR = process.env.EMBED_DIR ?? "dist";
+
+const HISTORY_DIR            = process.env.HISTORY_DIR            ?? "data/history";
+const HISTORY_SAMPLE_MS      = Number(process.env.HISTORY_SAMPLE_MS      ?? 60_000);
+const HISTORY_RETENTION_DAYS = Number(process.env.HISTORY_RETENTION_DAYS ?? 400);
+const HISTORY_MAX_POINTS     = Number(process.env.HISTORY_MAX_POINTS     ?? 500);
+
+// Observed block time is measured over this much height history
+const BLOCK_TIME_WINDOW_MS    = Number(process.env.BLOCK_TIME_WINDOW_MS    ?? 24 * 60 * 60_000);
+const BLOCK_TIME_CACHE_TTL_MS = Number(process.env.BLOCK_TIME_CACHE_TTL_MS ?? 10 * 60_000);
+const MAX_PROJECTION_YEARS    = 8;
+
+const WATCHLIST_DIR           = process.env.WATCHLIST_DIR ?? "data/watchlist";
+const WATCHLIST_THRESHOLD_ZEC = Number(process.env.WATCHLIST_THRESHOLD_ZEC ?? 100);
+const WATCHLIST_RECENT_EVENTS = 20;
+const WATCHLIST_MAX_EVENTS    = 200;
 
-function normalizeJSON(value) {
-  if (typeof value === "string") {
-    try { return JSON.parse(value); } catch { return value; }
+// Alert rules are re-checked this often even without cache refreshes, which
+// is what notices a dead upstream; crossings stay on the banner for ALERT_BANNER_MS
+const ALERT_CHECK_MS  = Number(process.env.ALERT_CHECK_MS  ?? 30_000);
+const ALERT_BANNER_MS = Number(process.env.ALERT_BANNER_MS ?? 10 * 60_000);
+
+const IMAGE_CACHE_TTL_MS = Number(process.env.IMAGE_CACHE_TTL_MS ?? 60_000);
+const IMAGE_FORMATS = { png: "image/png", svg: "image/svg+xml" };
+
+// Requests per client IP per window on /api/v1
+const V1_RATE_LIMIT     = Number(process.env.V1_RATE_LIMIT     ?? 120);
+const V1_RATE_WINDOW_MS = Number(process.env.V1_RATE_WINDOW_MS ?? 60_000);
+
+// Optional local zcashd/zebrad node; when set it becomes the first info/mempool provider
+const ZCASH_RPC_URL         = process.env.ZCASH_RPC_URL ?? null;
+const ZCASH_RPC_USER        = process.env.ZCASH_RPC_USER ?? null;
+const ZCASH_RPC_COOKIE_FILE = process.env.ZCASH_RPC_COOKIE_FILE ?? null;
+const ZCASH_RPC_TIMEOUT_MS  = Number(process.env.ZCASH_RPC_TIMEOUT_MS ?? 5_000);
+
+// Currencies always priced (and pushed over the stream) besides the ones screens ask for
+const VS_CURRENCIES = process.env.VS_CURRENCIES ?? "usd,btc";
+const MAX_VS_PER_REQUEST = Number(process.env.MAX_VS_PER_REQUEST ?? 6);
+
+const PROVIDER_COOLDOWN_MS = Number(process.env.PROVIDER_COOLDOWN_MS ?? 30_000);
+
+// TLS for the mempool host: trust a specific CA (e.g. its self-signed cert)
+// and/or pin its SHA-256 certificate fingerprint
+const MEMPOOL_CA_FILE          = process.env.MEMPOOL_CA_FILE ?? null;
+const MEMPOOL_CERT_FINGERPRINT = process.env.MEMPOOL_CERT_FINGERPRINT ?? null;
+
+/* ─── secrets ─── */
+// A bad secret setup stops the server here instead of failing on the first
+// upstream call
+function orExit(load) {
+  try {
+    return load();
+  } catch (err) {
+    console.error(`config error: ${err.message}`);
+    process.exit(1);
   }
-  return value;
 }
 
-function sanitizeNumber(value) {
-  if (value === null || value === undefined) return null;
-  const num = typeof value === "number" ? value : Number(value);
-  return Number.isFinite(num) ? num : null;
+function listsProvider(order, name) {
+  return String(order ?? "").split(",").map((n) => n.trim()).includes(name);
 }
 
-function isRetryableError(err) {
-  const statusCode = err.response?.status ?? null;
-  if (typeof statusCode === "number") {
-    return statusCode === 429 || statusCode >= 500;
+const THREEXPL_TOKEN = orExit(() => readSecret("THREEXPL_TOKEN"));
+const ZCASH_RPC_PASSWORD = orExit(() => readSecret("ZCASH_RPC_PASSWORD"));
+
+if (!THREEXPL_TOKEN) {
+  if (listsProvider(process.env.BALANCE_PROVIDERS, "3xpl")) {
+    orExit(() => {
+      throw new Error("BALANCE_PROVIDERS lists 3xpl but neither THREEXPL_TOKEN nor THREEXPL_TOKEN_FILE is set");
+    });
   }
-  return RETRYABLE_ERROR_CODES.has(err.code ?? "");
+  console.warn("3xpl balance provider disabled: THREEXPL_TOKEN is not set");
+}
+if (ZCASH_RPC_URL && ZCASH_RPC_USER && !ZCASH_RPC_PASSWORD) {
+  orExit(() => {
+    throw new Error("ZCASH_RPC_USER is set without ZCASH_RPC_PASSWORD or ZCASH_RPC_PASSWORD_FILE");
+  });
 }
 
+const MEMPOOL_AGENT = orExit(() => makePinnedAgent({
+  caFile: MEMPOOL_CA_FILE,
+  fingerprint: MEMPOOL_CERT_FINGERPRINT,
+}));
+
+/* ─── helpers ─── */
 function pickPriceEntry(raw) {
   if (Array.isArray(raw)) return raw[0] ?? null;
   if (raw && typeof raw === "object" && raw.zcash) return raw.zcash;
   return raw ?? null;
 }
 
-/* ─── HTTP fetcher with retry ─── */
-async function getJSON(url, config = {}) {
-  const {
-    headers,
-    timeout,
-    httpsAgent,
-    retries = REQUEST_RETRIES,
-    retryDelayMs = REQUEST_RETRY_DELAY_MS,
-  } = config;
-
-  const axiosConfig = {
-    headers: {
-      accept: "application/json",
-      "user-agent": "zcash-totem/1.0",
-      ...headers,
-    },
-    timeout: timeout ?? REQUEST_TIMEOUT_MS,
-    httpsAgent,
+// CoinGecko vs_currency codes; a fixed list so ?vs= can't create unbounded caches
+const SUPPORTED_CURRENCIES = new Set([
+  "usd", "eur", "brl", "gbp", "chf", "jpy", "cad", "aud", "nzd", "mxn", "ars",
+  "clp", "cny", "hkd", "sgd", "inr", "krw", "try", "pln", "czk", "sek", "nok",
+  "dkk", "zar", "btc", "eth",
+]);
+
+// "eur, BRL" -> ["eur", "brl"]; unknown codes are returned separately
+function parseCurrencies(value) {
+  const requested = String(value ?? "")
+    .split(",")
+    .map((c) => c.trim().toLowerCase())
+    .filter(Boolean);
+  return {
+    currencies: [...new Set(requested.filter((c) => SUPPORTED_CURRENCIES.has(c)))],
+    invalid: requested.filter((c) => !SUPPORTED_CURRENCIES.has(c)),
   };
+}
 
-  let attempt = 0;
-  while (attempt <= retries) {
-    try {
-      const res = await axios.get(url, axiosConfig);
-      return normalizeJSON(res.data);
-    } catch (err) {
-      attempt += 1;
-      const status = err.response?.status ?? err.code ?? "request_failed";
-      if (!isRetryableError(err) || attempt > retries) {
-        throw new Error(`${url} -> HTTP ${status}`);
-      }
-      console.warn(`request retry ${attempt}/${retries} for ${url} (${status})`);
-      await delay(retryDelayMs * attempt);
-    }
-  }
+function normalizePriceEntry(entry) {
+  return {
+    price: sanitizeNumber(entry?.current_price),
+    change24h: sanitizeNumber(entry?.price_change_percentage_24h),
+    low24h: sanitizeNumber(entry?.low_24h),
+    high24h: sanitizeNumber(entry?.high_24h),
+    marketCap: sanitizeNumber(entry?.market_cap),
+    marketCapChange24h: sanitizeNumber(entry?.market_cap_change_percentage_24h),
+    marketCapChange: sanitizeNumber(entry?.market_cap_change_24h),
+  };
 }
 
-/* ─── generic cache factory ─── */
-function makeCache(ttlMs, fetcher, label) {
-  const cache = { data: null, fetchedAt: 0, promise: null };
+/* ─── upstream providers ─── */
+// Order comes from e.g. PRICE_PROVIDERS=coinpaprika,coingecko; default is the order listed here
+const providerOptions = { cooldownMs: PROVIDER_COOLDOWN_MS };
 
-  function get() {
-    const now = Date.now();
-    if (cache.data && now - cache.fetchedAt <= ttlMs) {
-      return Promise.resolve(cache.data);
-    }
-    if (cache.promise) return cache.promise;
-
-    cache.promise = fetcher()
-      .then((fresh) => {
-        cache.data = fresh;
-        cache.fetchedAt = Date.now();
-        return fresh;
-      })
-      .catch((err) => {
-        if (cache.data) {
-          console.warn(`${label} fetch error (serving stale cache):`, err.message);
-          return cache.data;
-        }
-        throw err;
-      })
-      .finally(() => {
-        cache.promise = null;
-      });
+const rpcClient = ZCASH_RPC_URL
+  ? makeRpcClient({
+    url: ZCASH_RPC_URL,
+    user: ZCASH_RPC_USER,
+    password: ZCASH_RPC_PASSWORD,
+    cookieFile: ZCASH_RPC_COOKIE_FILE,
+    timeout: ZCASH_RPC_TIMEOUT_MS,
+  })
+  : null;
+const rpcProviders = (adapter) => (rpcClient ? { rpc: adapter(rpcClient) } : {});
 
-    return cache.promise;
-  }
+const providers = {
+  price: makeProviderChain("price", selectProviders("price", {
+    coingecko: coingeckoPrice(),
+    coinpaprika: coinpaprikaPrice(),
+  }, process.env.PRICE_PROVIDERS), providerOptions),
+  info: makeProviderChain("info", selectProviders("info", {
+    ...rpcProviders(rpcInfo),
+    zcashexplorer: zcashexplorerInfo(),
+    blockchair: blockchairInfo(),
+  }, process.env.INFO_PROVIDERS), providerOptions),
+  mempool: makeProviderChain("mempool", selectProviders("mempool", {
+    ...rpcProviders(rpcMempool),
+    zcashmetro: zcashmetroMempool({ httpsAgent: MEMPOOL_AGENT }),
+    blockchair: blockchairMempool(),
+  }, process.env.MEMPOOL_PROVIDERS), providerOptions),
+  mempoolDetail: makeProviderChain("mempoolDetail", selectProviders("mempoolDetail", {
+    ...rpcProviders((client) => rpcMempoolDetail(client, { maxTx: MEMPOOL_DETAIL_MAX_TX })),
+    zcashmetro: zcashmetroMempoolDetail({ httpsAgent: MEMPOOL_AGENT, maxTx: MEMPOOL_DETAIL_MAX_TX }),
+  }, process.env.MEMPOOL_DETAIL_PROVIDERS), providerOptions),
+  network: makeProviderChain("network", selectProviders("network", {
+    ...rpcProviders((client) => rpcNetwork(client, { blocks: NETWORK_SAMPLE_BLOCKS })),
+    blockchair: blockchairNetwork(),
+    zcashexplorer: zcashexplorerNetwork(),
+  }, process.env.NETWORK_PROVIDERS), providerOptions),
+  balance: makeProviderChain("balance", selectProviders("balance", {
+    ...rpcProviders(rpcBalance),
+    ...(THREEXPL_TOKEN ? { "3xpl": threexplBalance({ token: THREEXPL_TOKEN }) } : {}),
+    blockchair: blockchairBalance(),
+  }, process.env.BALANCE_PROVIDERS), providerOptions),
+};
+
+/* ─── caches ─── */
+// Provider-backed caches hold { data, source }
+// One price cache per vs_currency, created on first use
+const BASE_CURRENCIES = ["usd", "btc"];
+// Pair assets shown against ZEC in the price card (config.json "pairs")
+const PAIR_CURRENCIES = parseCurrencies((config.pairs ?? []).join(",")).currencies;
+const trackedCurrencies = new Set([
+  ...BASE_CURRENCIES,
+  ...parseCurrencies(VS_CURRENCIES).currencies,
+  ...PAIR_CURRENCIES,
+]);
+const priceCaches = new Map();
 
-  return { get };
+function priceCacheFor(vs) {
+  if (!priceCaches.has(vs)) {
+    const cache = makeCache(PRICE_CACHE_TTL_MS, () => providers.price.fetch(vs), `price:${vs}`);
+    cache.onRefresh(scheduleStatusPublish);
+    priceCaches.set(vs, cache);
+  }
+  return priceCaches.get(vs);
 }
 
-/* ─── caches ─── */
-// Grayscale site config, setup by Pac on Jan 10th at 15:01
-const staticGrayscale = {
-  sharesOutstanding: config.grayscale.sharesOutstanding,
-  zecPerShare: config.grayscale.zecPerShare,
-};
+const infoCache = makeCache(INFO_CACHE_TTL_MS, () => providers.info.fetch(), "info");
 
-const priceCache = makeCache(PRICE_CACHE_TTL_MS, async () => {
-  const [usdData, btcData] = await Promise.all([
-    getJSON(PRICE_URL_USD),
-    getJSON(PRICE_URL_BTC),
-  ]);
-  return { usd: usdData, btc: btcData };
-}, "price");
+const mempoolCache = makeCache(MEMPOOL_CACHE_TTL_MS, () => providers.mempool.fetch(), "mempool");
 
-const infoCache = makeCache(INFO_CACHE_TTL_MS, () => getJSON(INFO_URL), "info");
+const mempoolDetailCache = makeCache(
+  MEMPOOL_DETAIL_CACHE_TTL_MS,
+  () => providers.mempoolDetail.fetch(),
+  "mempoolDetail"
+);
 
-const mempoolCache = makeCache(MEMPOOL_CACHE_TTL_MS, () =>
-  getJSON(MEMPOOL_URL, { httpsAgent: MEMPOOL_AGENT, timeout: 6_000, retries: 0 }),
-"mempool");
+const networkCache = makeCache(NETWORK_CACHE_TTL_MS, () => providers.network.fetch(), "network");
 
 const lockboxCache = makeCache(LOCKBOX_CACHE_TTL_MS, () =>
-  getJSON(LOCKBOX_MULTISIG_URL, {
-    headers: { Authorization: `Bearer ${LOCKBOX_MULTISIG_TOKEN}` },
-  }),
+  providers.balance.fetch(LOCKBOX_MULTISIG_ADDRESS),
 "lockbox");
 
-const treasuryCache = makeCache(TREASURY_CACHE_TTL_MS, async () => {
-  const fresh = await getJSON(TREASURY_URL);
-  return { ...fresh, grayscale: staticGrayscale };
-}, "treasury");
+const treasuryCache = makeCache(TREASURY_CACHE_TTL_MS, () => getJSON(TREASURY_URL), "treasury");
+
+// Tracked treasury holders (config.json "holders") and the addresses they watch
+const holders = parseHolders(config.holders);
+const HOLDER_ADDRESSES = holderAddresses(holders);
+// Backs /api/treasury's `grayscale` object, which predates the holder registry
+const grayscaleHolder = holders.find((h) => h.id === "grayscale" && h.type === "shares") ?? null;
+
+// One balance cache per watched address; the lockbox multisig shares the status one
+const addressCaches = new Map([[LOCKBOX_MULTISIG_ADDRESS, lockboxCache]]);
+
+function addressCacheFor(address) {
+  if (!addressCaches.has(address)) {
+    addressCaches.set(address, makeCache(ADDRESS_CACHE_TTL_MS, () =>
+      providers.balance.fetch(address),
+    `address:${address}`));
+  }
+  return addressCaches.get(address);
+}
+
+// Labelled addresses (config.json "watchlist") polled for balance-change events
+const watchlist = makeWatchlist({
+  dir: WATCHLIST_DIR,
+  maxEvents: WATCHLIST_MAX_EVENTS,
+  entries: parseWatchlist(config.watchlist, WATCHLIST_THRESHOLD_ZEC).entries,
+});
+
+const alertConfig = config.alerts ?? {};
+const alertHooks = orExit(() => parseWebhooks(alertConfig.webhooks));
+const alerts = makeAlerts({
+  rules: parseAlertRules(alertConfig.rules, { cooldownMinutes: alertConfig.cooldownMinutes }),
+  bannerMs: ALERT_BANNER_MS,
+  onEvent(event) {
+    console.log(`alert ${event.state}: ${event.label}: ${event.message}`);
+    publishAlerts();
+    if (event.state === "resolved" && alertConfig.notifyResolved === false) return;
+    sendWebhooks(alertHooks, event);
+  },
+});
+
+// One cache per (currency, range, type), created on first request
+const chartCaches = new Map();
+
+function chartCacheFor(vs, range, type) {
+  const key = `${vs}:${range}:${type}`;
+  if (!chartCaches.has(key)) {
+    const { days, ttlMs } = CHART_RANGES[range];
+    const params = `vs_currency=${encodeURIComponent(vs)}&days=${days}`;
+    chartCaches.set(key, makeCache(ttlMs, async () => {
+      if (type === "ohlc") {
+        const rows = await getJSON(`${OHLC_URL}?${params}`);
+        return {
+          candles: (Array.isArray(rows) ? rows : [])
+            .map((row) => row.map(sanitizeNumber))
+            .filter((row) => row.length === 5 && row.every(Number.isFinite)),
+        };
+      }
+      const raw = await getJSON(`${MARKET_CHART_URL}?${params}`);
+      return {
+        points: (Array.isArray(raw?.prices) ? raw.prices : [])
+          .map(([t, v]) => [sanitizeNumber(t), sanitizeNumber(v)])
+          .filter(([t, v]) => Number.isFinite(t) && Number.isFinite(v)),
+      };
+    }, `chart:${key}`));
+  }
+  return chartCaches.get(key);
+}
+
+// Rendered share images, one per card/theme/size/currency/format
+const imageCaches = new Map();
+
+function imageCacheFor(card, theme, size, vs, format) {
+  const key = `${card}:${theme}:${size.name}:${vs}:${format}`;
+  if (!imageCaches.has(key)) {
+    imageCaches.set(key, makeCache(IMAGE_CACHE_TTL_MS, async () => {
+      const svg = renderCardSvg(card, await imageData(card, vs), { theme, size, embedFont: format === "svg" });
+      return format === "png" ? svgToPng(svg) : Buffer.from(svg);
+    }, `image:${key}`));
+  }
+  return imageCaches.get(key);
+}
+
+const history = makeHistoryStore({
+  dir: HISTORY_DIR,
+  sampleIntervalMs: HISTORY_SAMPLE_MS,
+  retentionDays: HISTORY_RETENTION_DAYS,
+  maxPoints: HISTORY_MAX_POINTS,
+});
+
+// Seconds per block from the stored height samples; null until the window
+// holds enough blocks
+const blockTimeCache = makeCache(BLOCK_TIME_CACHE_TTL_MS, async () => {
+  const to = Date.now();
+  const { series } = await history.query({
+    metrics: ["height"],
+    from: to - BLOCK_TIME_WINDOW_MS,
+    to,
+    resolution: "auto",
+    agg: "last",
+  });
+  return { source: "history", data: observedBlockSeconds(series.height) };
+}, "blockTime");
 
 /* ─── value pools logic ─── */
 function extractValuePools(info, circulatingSupply) {
   const vp = Array.isArray(info?.valuePools) ? info.valuePools : [];
+  // Height-only sources carry no pools; report unknown rather than zero
+  if (!vp.length) {
+    return {
+      transparent: null,
+      sprout: null,
+      sapling: null,
+      orchard: null,
+      lockbox: null,
+      shielded: null,
+      totalChain: Number.isFinite(circulatingSupply) ? circulatingSupply : null,
+    };
+  }
+
   const find = (id) =>
     Number(vp.find((p) => p.id === id)?.chainValue ?? 0);
 
@@ -221,172 +453,1193 @@ function extractValuePools(info, circulatingSupply) {
   };
 }
 
-/* ─── routes ─── */
-app.get("/api/status", async (_req, res) => {
-  try {
-    const results = await Promise.allSettled([
-      priceCache.get(),
+/* ─── status payload ─── */
+function chainHeight(info) {
+  return info?.blocks ?? info?.blockchain?.blocks ?? info?.estimatedheight ?? null;
+}
+
+async function blockTime() {
+  const observed = await blockTimeCache.get().then((r) => r.data, () => null);
+  return { observed, target: TARGET_BLOCK_SECONDS, windowMs: BLOCK_TIME_WINDOW_MS };
+}
+
+// Freshness of one provider-backed cache as served in this response
+function cacheMeta(cache, result) {
+  return {
+    source: result.status === "fulfilled" ? result.value.source : null,
+    ...cache.meta(),
+  };
+}
+
+async function buildStatus(vsCurrencies = [...trackedCurrencies]) {
+  const currencies = [...new Set([...BASE_CURRENCIES, ...vsCurrencies])];
+  const [priceResults, results, blockSeconds] = await Promise.all([
+    Promise.allSettled(currencies.map((vs) => priceCacheFor(vs).get())),
+    Promise.allSettled([
       infoCache.get(),
       mempoolCache.get(),
       lockboxCache.get(),
-    ]);
-
-    const priceData            = results[0].status === "fulfilled" ? results[0].value : null;
-    const infoData             = results[1].status === "fulfilled" ? results[1].value : null;
-    const mempoolData          = results[2].status === "fulfilled" ? results[2].value : null;
-    const lockboxMultisigData  = results[3].status === "fulfilled" ? results[3].value : null;
+      networkCache.get(),
+    ]),
+    blockTime(),
+  ]);
 
-    // Log any failures for debugging but don't crash
-    results.forEach((r, i) => {
-      if (r.status === "rejected") {
-        const labels = ["price", "info", "mempool", "lockbox"];
-        console.warn(`${labels[i]} upstream failed:`, r.reason?.message);
-      }
-    });
+  const labels = ["info", "mempool", "lockbox", "network"];
+  const [infoData, mempoolData, lockboxMultisigData, networkData] = results.map((r) =>
+    r.status === "fulfilled" ? r.value.data : null
+  );
+  const priceData = Object.fromEntries(currencies.map((vs, i) => [
+    vs,
+    priceResults[i].status === "fulfilled" ? priceResults[i].value.data : null,
+  ]));
+  const sources = {
+    price: priceResults[0].status === "fulfilled" ? priceResults[0].value.source : null,
+    ...Object.fromEntries(labels.map((label, i) => [
+      label,
+      results[i].status === "fulfilled" ? results[i].value.source : null,
+    ])),
+  };
 
-    const priceEntryUsd = pickPriceEntry(priceData?.usd ?? priceData);
-    const priceEntryBtc = pickPriceEntry(priceData?.btc ?? null);
-
-    const priceUsd = sanitizeNumber(
-      priceEntryUsd?.current_price ?? priceEntryUsd?.usd
-    );
-    const priceBtc = sanitizeNumber(
-      priceEntryBtc?.current_price ?? priceEntryBtc?.btc
-    );
-    const priceChange24h = sanitizeNumber(
-      priceEntryUsd?.price_change_percentage_24h ?? priceEntryUsd?.usd_24h_change
-    );
-    const priceChange24hBtc = sanitizeNumber(
-      priceEntryBtc?.price_change_percentage_24h ?? priceEntryBtc?.btc_24h_change
-    );
-    const priceLow24hUsd = sanitizeNumber(
-      priceEntryUsd?.low_24h ?? priceEntryUsd?.usd_24h_low
-    );
-    const priceHigh24hUsd = sanitizeNumber(
-      priceEntryUsd?.high_24h ?? priceEntryUsd?.usd_24h_high
-    );
-    const priceLow24hBtc = sanitizeNumber(priceEntryBtc?.low_24h ?? null);
-    const priceHigh24hBtc = sanitizeNumber(priceEntryBtc?.high_24h ?? null);
-    const marketCapUsd = sanitizeNumber(
-      priceEntryUsd?.market_cap ?? priceEntryUsd?.usd_market_cap
-    );
-    const marketCapChange24h = sanitizeNumber(
-      priceEntryUsd?.market_cap_change_percentage_24h ?? null
-    );
-    const marketCapChangeUsd = sanitizeNumber(
-      priceEntryUsd?.market_cap_change_24h ?? null
-    );
-    const circulatingSupply = sanitizeNumber(
-      priceEntryUsd?.circulating_supply ?? null
-    );
-
-    const height =
-      infoData?.blocks ??
-      infoData?.blockchain?.blocks ??
-      infoData?.estimatedheight ??
-      null;
-
-    const pools = extractValuePools(infoData, circulatingSupply);
-    const lockboxMultisigZats = sanitizeNumber(
-      lockboxMultisigData?.data?.balances?.["zcash-main"]?.zcash?.balance ??
-      lockboxMultisigData?.balance ??
-      null
-    );
-    const lockboxMultisig = Number.isFinite(lockboxMultisigZats)
-      ? lockboxMultisigZats / 1e8
-      : null;
-    const lockboxCombined = [pools.lockbox, lockboxMultisig]
-      .filter((v) => Number.isFinite(v))
-      .reduce((sum, v) => sum + v, 0);
-    const valuePools = {
-      ...pools,
-      lockbox: Number.isFinite(lockboxCombined) ? lockboxCombined : pools.lockbox,
-      lockboxMultisig,
-    };
+  const meta = {
+    ...Object.fromEntries(
+      currencies.map((vs, i) => [`price:${vs}`, cacheMeta(priceCacheFor(vs), priceResults[i])])
+    ),
+    info: cacheMeta(infoCache, results[0]),
+    mempool: cacheMeta(mempoolCache, results[1]),
+    lockbox: cacheMeta(lockboxCache, results[2]),
+    network: cacheMeta(networkCache, results[3]),
+  };
 
-    let mempoolSize = null;
-    if (Array.isArray(mempoolData)) {
-      mempoolSize = sanitizeNumber(mempoolData.length);
-    } else if (mempoolData && typeof mempoolData === "object") {
-      const candidate = mempoolData.size ?? mempoolData.length ?? null;
-      mempoolSize = sanitizeNumber(candidate);
+  // Log any failures for debugging but don't crash
+  priceResults.forEach((r, i) => {
+    if (r.status === "rejected") {
+      console.warn(`price:${currencies[i]} upstream failed:`, r.reason?.message);
+    }
+  });
+  results.forEach((r, i) => {
+    if (r.status === "rejected") {
+      console.warn(`${labels[i]} upstream failed:`, r.reason?.message);
     }
+  });
 
-    res.json({
-      timestamp: Date.now(),
+  const priceEntryUsd = pickPriceEntry(priceData.usd);
+  const priceEntryBtc = pickPriceEntry(priceData.btc);
+  const prices = Object.fromEntries(
+    currencies.map((vs) => [vs, normalizePriceEntry(pickPriceEntry(priceData[vs]))])
+  );
+
+  const priceUsd = sanitizeNumber(
+    priceEntryUsd?.current_price ?? priceEntryUsd?.usd
+  );
+  const priceBtc = sanitizeNumber(
+    priceEntryBtc?.current_price ?? priceEntryBtc?.btc
+  );
+  const priceChange24h = sanitizeNumber(
+    priceEntryUsd?.price_change_percentage_24h ?? priceEntryUsd?.usd_24h_change
+  );
+  const priceChange24hBtc = sanitizeNumber(
+    priceEntryBtc?.price_change_percentage_24h ?? priceEntryBtc?.btc_24h_change
+  );
+  const priceLow24hUsd = sanitizeNumber(
+    priceEntryUsd?.low_24h ?? priceEntryUsd?.usd_24h_low
+  );
+  const priceHigh24hUsd = sanitizeNumber(
+    priceEntryUsd?.high_24h ?? priceEntryUsd?.usd_24h_high
+  );
+  const priceLow24hBtc = sanitizeNumber(priceEntryBtc?.low_24h ?? null);
+  const priceHigh24hBtc = sanitizeNumber(priceEntryBtc?.high_24h ?? null);
+  const marketCapUsd = sanitizeNumber(
+    priceEntryUsd?.market_cap ?? priceEntryUsd?.usd_market_cap
+  );
+  const marketCapChange24h = sanitizeNumber(
+    priceEntryUsd?.market_cap_change_percentage_24h ?? null
+  );
+  const marketCapChangeUsd = sanitizeNumber(
+    priceEntryUsd?.market_cap_change_24h ?? null
+  );
+  const circulatingSupply = sanitizeNumber(
+    priceEntryUsd?.circulating_supply ?? null
+  );
+
+  const height = chainHeight(infoData);
+
+  const pools = extractValuePools(infoData, circulatingSupply);
+  const lockboxMultisigZats = sanitizeNumber(
+    lockboxMultisigData?.balance ?? null
+  );
+  const lockboxMultisig = Number.isFinite(lockboxMultisigZats)
+    ? lockboxMultisigZats / 1e8
+    : null;
+  const lockboxParts = [pools.lockbox, lockboxMultisig].filter((v) => Number.isFinite(v));
+  const lockboxCombined = lockboxParts.length
+    ? lockboxParts.reduce((sum, v) => sum + v, 0)
+    : null;
+  const valuePools = {
+    ...pools,
+    lockbox: Number.isFinite(lockboxCombined) ? lockboxCombined : pools.lockbox,
+    lockboxMultisig,
+  };
+
+  let mempoolSize = null;
+  if (Array.isArray(mempoolData)) {
+    mempoolSize = sanitizeNumber(mempoolData.length);
+  } else if (mempoolData && typeof mempoolData === "object") {
+    const candidate = mempoolData.size ?? mempoolData.length ?? null;
+    mempoolSize = sanitizeNumber(candidate);
+  }
+
+  return {
+    timestamp: Date.now(),
+    priceUsd,
+    priceLow24hUsd,
+    priceHigh24hUsd,
+    priceChange24h,
+    priceBtc,
+    priceLow24hBtc,
+    priceHigh24hBtc,
+    priceChange24hBtc,
+    marketCapUsd,
+    marketCapChange24h,
+    marketCapChangeUsd,
+    circulatingSupply,
+    prices,
+    height,
+    blockTime: blockSeconds,
+    network: networkData,
+    mempoolSize,
+    valuePools,
+    sources,
+    meta,
+  };
+}
+
+// CoinGecko's own fields (total_holdings, …) are kept next to the normalized
+// ones; /api/treasury used to pass companies through verbatim
+function normalizeCompany(company) {
+  return {
+    ...company,
+    name: company?.name ?? null,
+    symbol: company?.symbol ?? null,
+    country: company?.country ?? null,
+    holdings: sanitizeNumber(company?.total_holdings),
+    entryValueUsd: sanitizeNumber(company?.total_entry_value_usd),
+    currentValueUsd: sanitizeNumber(company?.total_current_value_usd),
+  };
+}
+
+// CoinGecko company totals plus every configured holder. Holders resolve from
+// whatever is available, so one dead upstream only blanks its own rows.
+async function buildTreasury() {
+  const [treasuryResult, infoResult, ...balanceResults] = await Promise.allSettled([
+    treasuryCache.get(),
+    infoCache.get(),
+    ...HOLDER_ADDRESSES.map((address) => addressCacheFor(address).get()),
+  ]);
+  const data = treasuryResult.status === "fulfilled" ? treasuryResult.value : null;
+  const info = infoResult.status === "fulfilled" ? infoResult.value.data : null;
+
+  const balances = new Map(HOLDER_ADDRESSES.map((address, i) => {
+    const result = balanceResults[i];
+    const zats = sanitizeNumber(result.status === "fulfilled" ? result.value.data?.balance : null);
+    return [address, {
+      ...addressCacheFor(address).meta(),
+      zec: Number.isFinite(zats) ? zats / 1e8 : null,
+    }];
+  }));
+  const inputs = {
+    treasury: { data, meta: treasuryCache.meta() },
+    pools: { data: extractValuePools(info, null), meta: infoCache.meta() },
+    balances,
+  };
+
+  return {
+    totalHoldings: sanitizeNumber(data?.total_holdings),
+    totalValueUsd: sanitizeNumber(data?.total_value_usd),
+    marketCapDominance: sanitizeNumber(data?.market_cap_dominance),
+    companies: Array.isArray(data?.companies) ? data.companies.map(normalizeCompany) : [],
+    grayscale: {
+      holdings: grayscaleHolder ? grayscaleHolder.shares * grayscaleHolder.zecPerShare : null,
+      sharesOutstanding: grayscaleHolder?.shares ?? null,
+      zecPerShare: grayscaleHolder?.zecPerShare ?? null,
+    },
+    holders: holders.map((h) => resolveHolder(h, inputs)),
+    meta: { source: "coingecko", ...treasuryCache.meta() },
+    timestamp: Date.now(),
+  };
+}
+
+async function buildWatchlist() {
+  const results = await Promise.allSettled(
+    watchlist.entries.map((entry) => addressCacheFor(entry.address).get())
+  );
+  const events = await watchlist.events({ limit: WATCHLIST_RECENT_EVENTS });
+
+  return {
+    addresses: watchlist.entries.map((entry, i) => {
+      const result = results[i];
+      const zats = sanitizeNumber(result.status === "fulfilled" ? result.value.data?.balance : null);
+      return {
+        ...entry,
+        zec: Number.isFinite(zats) ? zats / 1e8 : null,
+        source: result.status === "fulfilled" ? result.value.source : null,
+        ...addressCacheFor(entry.address).meta(),
+        lastEvent: events.find((e) => e.address === entry.address) ?? null,
+      };
+    }),
+    events,
+    timestamp: Date.now(),
+  };
+}
+
+// Stream events and snapshots leave out the transaction list
+async function buildMempool({ transactions = true } = {}) {
+  const [result] = await Promise.allSettled([mempoolDetailCache.get()]);
+  if (result.status === "rejected") throw result.reason;
+  const summary = summarizeMempool(result.value.data);
+  return {
+    ...summary,
+    transactions: transactions ? summary.transactions : undefined,
+    meta: { mempoolDetail: cacheMeta(mempoolDetailCache, result) },
+    timestamp: Date.now(),
+  };
+}
+
+// What the share images draw from: the status, the 24h price for the
+// sparkline and the mempool breakdown
+async function imageData(card, vs) {
+  const now = Date.now();
+  const [status, prices, mempool] = await Promise.all([
+    buildStatus([vs]),
+    card === "price" || card === "all"
+      ? history
+        .query({ metrics: [`prices.${vs}`], from: now - 24 * 60 * 60_000, to: now, resolution: 15 * 60_000 })
+        .catch(() => null)
+      : null,
+    card === "mempool" ? buildMempool({ transactions: false }).catch(() => null) : null,
+  ]);
+  return { status, currency: vs, series: prices?.series ?? null, mempool };
+}
+
+/* ─── history recording ─── */
+function recordHistory(status) {
+  const { timestamp, priceUsd, priceBtc, marketCapUsd, circulatingSupply,
+    height, mempoolSize, valuePools, network } = status;
+  return history
+    .record(timestamp, {
       priceUsd,
-      priceLow24hUsd,
-      priceHigh24hUsd,
-      priceChange24h,
       priceBtc,
-      priceLow24hBtc,
-      priceHigh24hBtc,
-      priceChange24hBtc,
       marketCapUsd,
-      marketCapChange24h,
-      marketCapChangeUsd,
       circulatingSupply,
       height,
       mempoolSize,
-      valuePools,
-    });
+      network,
+      prices: Object.fromEntries(
+        Object.entries(status.prices ?? {}).map(([vs, p]) => [vs, p.price])
+      ),
+      // extractValuePools yields zeros when chain info is down; don't store those
+      valuePools: Number.isFinite(height) ? valuePools : null,
+    })
+    .catch((err) => console.warn("history record failed:", err.message));
+}
+
+/* ─── live push (SSE) ─── */
+// Which /api/status fields each stream event carries
+const STATUS_GROUPS = {
+  price: [
+    "priceUsd",
+    "priceLow24hUsd",
+    "priceHigh24hUsd",
+    "priceChange24h",
+    "priceBtc",
+    "priceLow24hBtc",
+    "priceHigh24hBtc",
+    "priceChange24hBtc",
+    "marketCapUsd",
+    "marketCapChange24h",
+    "marketCapChangeUsd",
+    "circulatingSupply",
+    "prices",
+  ],
+  chain: ["height", "blockTime", "valuePools"],
+  mempool: ["mempoolSize"],
+  network: ["network"],
+  sources: ["sources", "meta"],
+};
+
+const lastPublished = new Map();
+let refreshTimer = null;
+const lastRefreshAt = new Map();
+let statusPublishTimer = null;
+
+const streamHub = makeStreamHub({
+  onClientsChange(count) {
+    if (count > 0 && !refreshTimer) startRefreshLoop();
+    if (count === 0) stopRefreshLoop();
+  },
+});
+
+// Broadcast only when the group's fields actually changed since the last push
+function publishIfChanged(event, payload, timestamp) {
+  const serialized = JSON.stringify(payload);
+  if (lastPublished.get(event) === serialized) return;
+  lastPublished.set(event, serialized);
+  streamHub.broadcast(event, { ...payload, timestamp });
+}
+
+function scheduleStatusPublish() {
+  // Several caches often refresh in the same tick; coalesce them
+  if (statusPublishTimer) return;
+  statusPublishTimer = setTimeout(async () => {
+    statusPublishTimer = null;
+    try {
+      const status = await buildStatus();
+      for (const [group, fields] of Object.entries(STATUS_GROUPS)) {
+        const payload = Object.fromEntries(fields.map((f) => [f, status[f] ?? null]));
+        publishIfChanged(group, payload, status.timestamp);
+      }
+      checkAlerts(status);
+    } catch (err) {
+      console.warn("status publish failed:", err.message);
+    }
+  }, 100);
+}
+
+async function publishTreasury() {
+  try {
+    const { timestamp, ...treasury } = await buildTreasury();
+    publishIfChanged("treasury", treasury, timestamp);
+  } catch (err) {
+    console.warn("treasury publish failed:", err.message);
+  }
+}
+
+async function publishMempool() {
+  try {
+    const { timestamp, ...payload } = await buildMempool({ transactions: false });
+    publishIfChanged("mempoolDetail", payload, timestamp);
+  } catch (err) {
+    console.warn("mempool publish failed:", err.message);
+  }
+}
+
+function checkAlerts(status) {
+  if (!alerts.rules.length) return;
+  const caches = new Set([...statusCaches(), ...treasuryCaches(), ...watchlistCaches(), mempoolDetailCache]);
+  alerts.evaluate({ status, health: new Map([...caches].map((c) => [c.label, c.health()])) });
+  // crossings drop off the banner with time, not only on events
+  publishAlerts();
+}
+
+function publishAlerts() {
+  publishIfChanged("alerts", { active: alerts.active() }, Date.now());
+}
+
+function statusCaches() {
+  return [
+    ...[...trackedCurrencies].map(priceCacheFor),
+    infoCache,
+    mempoolCache,
+    lockboxCache,
+    networkCache,
+  ];
+}
+
+async function publishWatchlist() {
+  try {
+    const { timestamp, ...payload } = await buildWatchlist();
+    publishIfChanged("watchlist", payload, timestamp);
+  } catch (err) {
+    console.warn("watchlist publish failed:", err.message);
+  }
+}
+
+function watchlistCaches() {
+  return watchlist.entries.map((entry) => addressCacheFor(entry.address));
+}
+
+function treasuryCaches() {
+  return [treasuryCache, infoCache, ...HOLDER_ADDRESSES.map(addressCacheFor)];
+}
+
+// Caches only refresh when read, so keep them ticking while anyone listens.
+// One ticker covers price caches added later by ?vs= requests.
+function startRefreshLoop() {
+  refreshTimer = setInterval(() => {
+    const now = Date.now();
+    for (const cache of new Set([...statusCaches(), ...treasuryCaches(), mempoolDetailCache])) {
+      if (now - (lastRefreshAt.get(cache) ?? 0) < cache.ttlMs / 2) continue;
+      lastRefreshAt.set(cache, now);
+      cache.get().catch((err) => console.warn(`${cache.label} refresh failed:`, err.message));
+    }
+  }, 1_000);
+}
+
+function stopRefreshLoop() {
+  clearInterval(refreshTimer);
+  refreshTimer = null;
+}
+
+[infoCache, mempoolCache, lockboxCache, networkCache].forEach((cache) => cache.onRefresh(scheduleStatusPublish));
+new Set(treasuryCaches()).forEach((cache) => cache.onRefresh(publishTreasury));
+mempoolDetailCache.onRefresh(publishMempool);
+watchlist.entries.forEach(({ address }) => {
+  addressCacheFor(address).onRefresh(async ({ data }) => {
+    const zats = sanitizeNumber(data?.balance);
+    if (!Number.isFinite(zats)) return;
+    await watchlist.observe(address, zats / 1e8)
+      .catch((err) => console.warn("watchlist observe failed:", err.message));
+    publishWatchlist();
+  });
+});
+
+/* ─── routes ─── */
+// Validates ?vs= and starts tracking the requested currencies
+function requestedCurrencies(req, res) {
+  const { currencies, invalid } = parseCurrencies(req.query.vs);
+  if (invalid.length) {
+    res.status(400).json({ error: "unsupported_currency", currencies: invalid });
+    return null;
+  }
+  if (currencies.length > MAX_VS_PER_REQUEST) {
+    res.status(400).json({ error: "too_many_currencies", max: MAX_VS_PER_REQUEST });
+    return null;
+  }
+  currencies.forEach((vs) => trackedCurrencies.add(vs));
+  return currencies;
+}
+
+app.get("/api/status", async (req, res) => {
+  const currencies = requestedCurrencies(req, res);
+  if (!currencies) return;
+  try {
+    const status = await buildStatus(currencies);
+    recordHistory(status);
+    res.json(status);
   } catch (err) {
     console.error("status error:", err);
     res.status(500).json({ error: "upstream_failed" });
   }
 });
 
-app.get("/api/treasury", async (_req, res) => {
-  try {
-    const data = await treasuryCache.get();
-    const totalHoldings = sanitizeNumber(data?.total_holdings);
-    const totalValueUsd = sanitizeNumber(data?.total_value_usd);
-    const marketCapDominance = sanitizeNumber(data?.market_cap_dominance);
-    const grayscale = data?.grayscale ?? null;
-    const grayscaleShares = sanitizeNumber(grayscale?.sharesOutstanding);
-    const grayscaleZecPerShare = sanitizeNumber(grayscale?.zecPerShare);
-    const grayscaleHoldings = sanitizeNumber(
-      grayscale?.holdings ??
-      (Number.isFinite(grayscaleShares) && Number.isFinite(grayscaleZecPerShare)
-        ? grayscaleShares * grayscaleZecPerShare
-        : null)
-    );
+app.get("/api/stream", async (req, res) => {
+  if (!requestedCurrencies(req, res)) return;
+  const [status, treasury, watched, mempool] = await Promise.allSettled([
+    buildStatus(),
+    buildTreasury(),
+    buildWatchlist(),
+    buildMempool({ transactions: false }),
+  ]);
+  streamHub.attach(req, res, [[
+    "snapshot",
+    {
+      ...(status.status === "fulfilled" ? status.value : {}),
+      treasury: treasury.status === "fulfilled" ? treasury.value : null,
+      watchlist: watched.status === "fulfilled" ? watched.value : null,
+      mempool: mempool.status === "fulfilled" ? mempool.value : null,
+      alerts: { active: alerts.active() },
+    },
+  ]]);
+});
 
+app.get("/api/chart", async (req, res) => {
+  const vs = String(req.query.vs ?? "usd").toLowerCase();
+  const range = String(req.query.range ?? "24h");
+  const type = String(req.query.type ?? "line");
+  if (!SUPPORTED_CURRENCIES.has(vs)) {
+    return res.status(400).json({ error: "unsupported_currency", currencies: [vs] });
+  }
+  if (!CHART_RANGES[range]) {
+    return res.status(400).json({ error: "invalid_range", ranges: Object.keys(CHART_RANGES) });
+  }
+  if (!CHART_TYPES.has(type)) {
+    return res.status(400).json({ error: "invalid_type", types: [...CHART_TYPES] });
+  }
+
+  try {
+    const cache = chartCacheFor(vs, range, type);
+    const data = await cache.get();
     res.json({
-      totalHoldings,
-      totalValueUsd,
-      marketCapDominance,
-      companies: Array.isArray(data?.companies) ? data.companies : [],
-      grayscale: {
-        holdings: grayscaleHoldings,
-        sharesOutstanding: grayscaleShares,
-        zecPerShare: grayscaleZecPerShare,
-      },
+      vs,
+      range,
+      type,
+      ...data,
+      meta: { source: "coingecko", ...cache.meta() },
       timestamp: Date.now(),
     });
+  } catch (err) {
+    console.error("chart error:", err);
+    res.status(500).json({ error: "upstream_failed" });
+  }
+});
+
+// Validates ?metric=&from=&to=&resolution=&agg= into a history.query() argument
+function historyQuery(req, res) {
+  const metrics = String(req.query.metric ?? "")
+    .split(",")
+    .map((m) => m.trim())
+    .filter(Boolean);
+  if (!metrics.length) {
+    res.status(400).json({ error: "missing_metric" });
+    return null;
+  }
+
+  const to = parseTime(req.query.to, Date.now());
+  const from = parseTime(req.query.from, to - 24 * 60 * 60_000);
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+    res.status(400).json({ error: "invalid_range" });
+    return null;
+  }
+
+  const rawResolution = req.query.resolution ?? "auto";
+  const resolution = rawResolution === "auto" ? "auto" : parseDuration(rawResolution);
+  if (resolution === null) {
+    res.status(400).json({ error: "invalid_resolution" });
+    return null;
+  }
+
+  const agg = req.query.agg ?? "avg";
+  if (!history.aggregators.includes(agg)) {
+    res.status(400).json({ error: "invalid_agg" });
+    return null;
+  }
+  return { metrics, from, to, resolution, agg };
+}
+
+app.get("/api/history", async (req, res) => {
+  const query = historyQuery(req, res);
+  if (!query) return;
+
+  try {
+    res.json(await history.query(query));
+  } catch (err) {
+    console.error("history error:", err);
+    res.status(500).json({ error: "history_failed" });
+  }
+});
+
+app.get("/api/history/metrics", async (_req, res) => {
+  try {
+    res.json({ metrics: await history.listMetrics() });
+  } catch (err) {
+    console.error("history error:", err);
+    res.status(500).json({ error: "history_failed" });
+  }
+});
+
+// Display settings the dashboard needs from config.json
+app.get("/api/config", (_req, res) => {
+  res.json({ pairs: PAIR_CURRENCIES, layout: DEFAULT_LAYOUT, themes: THEMES });
+});
+
+// Layouts are read per request so edits show up on the next screen reload
+app.get("/api/layouts", async (_req, res) => {
+  try {
+    const files = await fs.readdir(LAYOUTS_DIR);
+    res.json({
+      default: DEFAULT_LAYOUT,
+      layouts: files.filter((f) => f.endsWith(".json")).map((f) => f.slice(0, -5)).sort(),
+    });
+  } catch (err) {
+    console.error("layouts error:", err);
+    res.status(500).json({ error: "layouts_unavailable" });
+  }
+});
+
+app.get("/api/layouts/:name", async (req, res) => {
+  const { name } = req.params;
+  if (!LAYOUT_NAME_RE.test(name)) {
+    return res.status(400).json({ error: "invalid_layout_name" });
+  }
+  try {
+    const raw = await fs.readFile(path.join(LAYOUTS_DIR, `${name}.json`), "utf8");
+    const layout = JSON.parse(raw);
+    if (!Array.isArray(layout?.rows)) {
+      return res.status(500).json({ error: "invalid_layout" });
+    }
+    res.json({ name, ...layout });
+  } catch (err) {
+    if (err.code === "ENOENT") return res.status(404).json({ error: "layout_not_found" });
+    console.error("layout error:", err);
+    res.status(500).json({ error: "invalid_layout" });
+  }
+});
+
+// "down" when a status cache has never filled, "degraded" when one is stale or
+// its last refresh failed; chart and mempool detail caches are listed but don't count
+app.get("/api/health", async (_req, res) => {
+  const watched = [...new Set([...statusCaches(), ...treasuryCaches(), ...watchlistCaches()])];
+  // reading refreshes anything past its TTL, so idle caches aren't reported stale
+  await Promise.allSettled(watched.map((cache) => cache.get()));
+
+  const caches = [...watched, mempoolDetailCache, ...chartCaches.values()].map((cache) => cache.health());
+  const counted = caches.slice(0, watched.length);
+  let status = "ok";
+  if (counted.some((c) => c.fetchedAt === null)) status = "down";
+  else if (counted.some((c) => c.stale || c.consecutiveFailures > 0)) status = "degraded";
+
+  res.status(status === "down" ? 503 : 200).json({
+    status,
+    caches: Object.fromEntries(caches.map((c) => [c.label, c])),
+    providers: Object.fromEntries(
+      Object.entries(providers).map(([metric, chain]) => [metric, chain.health()])
+    ),
+    timestamp: Date.now(),
+  });
+});
+
+// Prometheus scrape target: the figures the dashboard shows plus cache and
+// provider state; upstream and cache counters come from server/http.js and server/cache.js
+const METRIC_POOLS = ["transparent", "sprout", "sapling", "orchard", "lockbox"];
+const PROCESS_STARTED_S = Math.round(Date.now() / 1000 - process.uptime());
+
+app.get("/metrics", async (_req, res) => {
+  const [status, treasury] = await Promise.allSettled([buildStatus(), buildTreasury()]);
+  const s = status.status === "fulfilled" ? status.value : null;
+  const t = treasury.status === "fulfilled" ? treasury.value : null;
+  const prices = Object.entries(s?.prices ?? {});
+  const caches = [...new Set([
+    ...statusCaches(), ...treasuryCaches(), ...watchlistCaches(), mempoolDetailCache, blockTimeCache,
+    ...chartCaches.values(),
+  ])].map((cache) => cache.health());
+  const providerHealth = Object.entries(providers).flatMap(([metric, chain]) =>
+    chain.health().map((h) => ({ metric, ...h }))
+  );
+  const now = Date.now();
+  const perCurrency = (field) => prices.map(([currency, p]) => ({ labels: { currency }, value: p[field] }));
+  const perCache = (value) => caches.map((c) => ({ labels: { cache: c.label }, value: value(c) }));
+  const perProvider = (value) => providerHealth.map((h) => ({
+    labels: { metric: h.metric, provider: h.name },
+    value: value(h),
+  }));
+
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics([
+    gauge("zecstats_price", "ZEC price per currency", perCurrency("price")),
+    gauge("zecstats_price_change_24h_percent", "ZEC price change over 24h", perCurrency("change24h")),
+    gauge("zecstats_market_cap", "ZEC market cap per currency", perCurrency("marketCap")),
+    gauge("zecstats_block_height", "Chain tip height", [{ value: s?.height }]),
+    gauge("zecstats_block_seconds", "Observed seconds per block", [{ value: s?.blockTime?.observed }]),
+    gauge("zecstats_mempool_transactions", "Transactions in the mempool", [{ value: s?.mempoolSize }]),
+    gauge("zecstats_circulating_supply_zec", "Circulating supply", [{ value: s?.valuePools?.totalChain }]),
+    gauge("zecstats_value_pool_zec", "ZEC per value pool (lockbox includes the multisig)",
+      METRIC_POOLS.map((pool) => ({ labels: { pool }, value: s?.valuePools?.[pool] }))),
+    gauge("zecstats_network_difficulty", "Mining difficulty", [{ value: s?.network?.difficulty }]),
+    gauge("zecstats_network_hashrate_sols", "Network hashrate in Sol/s", [{ value: s?.network?.hashrate }]),
+    gauge("zecstats_treasury_holdings_zec", "ZEC held by public companies (CoinGecko)",
+      (t?.companies ?? []).map((c) => ({
+        labels: { company: c.name ?? "", symbol: c.symbol ?? "" },
+        value: c.holdings,
+      }))),
+    gauge("zecstats_treasury_total_holdings_zec", "ZEC held by all public companies", [{ value: t?.totalHoldings }]),
+    gauge("zecstats_holder_zec", "ZEC per configured holder (config.json holders)",
+      (t?.holders ?? []).map((h) => ({ labels: { holder: h.id, label: h.label }, value: h.zec }))),
+    gauge("zecstats_cache_age_seconds", "Age of the data each cache serves",
+      perCache((c) => (c.fetchedAt === null ? NaN : (now - c.fetchedAt) / 1000))),
+    gauge("zecstats_cache_stale", "1 when a cache serves stale data or none",
+      perCache((c) => (c.stale ? 1 : 0))),
+    gauge("zecstats_cache_consecutive_failures", "Failed refreshes since the last success",
+      perCache((c) => c.consecutiveFailures)),
+    // providers that were never called (later in the chain) are left out
+    gauge("zecstats_provider_up", "1 while a provider's last call succeeded",
+      perProvider((h) => (h.status === "unknown" ? NaN : Number(h.status === "ok")))),
+    gauge("zecstats_provider_consecutive_failures", "Failed calls since the provider's last success",
+      perProvider((h) => h.consecutiveFailures)),
+    gauge("process_resident_memory_bytes", "Resident memory size", [{ value: process.memoryUsage.rss() }]),
+    gauge("process_start_time_seconds", "Process start time since epoch", [{ value: PROCESS_STARTED_S }]),
+  ]));
+});
+
+app.get("/api/watchlist", async (_req, res) => {
+  try {
+    res.json(await buildWatchlist());
+  } catch (err) {
+    console.error("watchlist error:", err);
+    res.status(500).json({ error: "watchlist_failed" });
+  }
+});
+
+app.get("/api/watchlist/events", async (req, res) => {
+  const since = parseTime(req.query.since, 0);
+  if (!Number.isFinite(since)) {
+    return res.status(400).json({ error: "invalid_since" });
+  }
+  const limit = Number(req.query.limit ?? 50);
+  if (!Number.isInteger(limit) || limit < 1 || limit > WATCHLIST_MAX_EVENTS) {
+    return res.status(400).json({ error: "invalid_limit", max: WATCHLIST_MAX_EVENTS });
+  }
+
+  try {
+    const address = req.query.address ? String(req.query.address) : undefined;
+    res.json({ events: await watchlist.events({ since, limit, address }), timestamp: Date.now() });
+  } catch (err) {
+    console.error("watchlist events error:", err);
+    res.status(500).json({ error: "watchlist_failed" });
+  }
+});
+
+app.get("/api/providers", (_req, res) => {
+  res.json({
+    providers: Object.fromEntries(
+      Object.entries(providers).map(([metric, chain]) => [metric, chain.health()])
+    ),
+    timestamp: Date.now(),
+  });
+});
+
+app.get("/api/treasury", async (_req, res) => {
+  try {
+    res.json(await buildTreasury());
   } catch (err) {
     console.error("treasury error:", err);
     res.status(500).json({ error: "upstream_failed" });
   }
 });
 
+app.get("/api/alerts", (_req, res) => {
+  res.json({
+    active: alerts.active(),
+    events: alerts.recent(),
+    rules: alerts.rules.map(({ cooldownMs, ...rule }) => ({ ...rule, cooldownMinutes: cooldownMs / 60_000 })),
+    webhooks: alertHooks.map((hook) => hook.format),
+    timestamp: Date.now(),
+  });
+});
+
+app.get("/api/mempool", async (_req, res) => {
+  try {
+    res.json(await buildMempool());
+  } catch (err) {
+    console.error("mempool error:", err);
+    res.status(500).json({ error: "upstream_failed" });
+  }
+});
+
+// Emission schedule at the current height; `years` picks the supply projections
+app.get("/api/issuance", async (req, res) => {
+  const years = req.query.years
+    ? String(req.query.years).split(",").map(Number)
+    : undefined;
+  if (years && (
+    years.length > MAX_PROJECTION_YEARS ||
+    years.some((y) => !Number.isFinite(y) || y <= 0 || y > 100)
+  )) {
+    return res.status(400).json({ error: "invalid_years" });
+  }
+
+  const [[info], blockSeconds] = await Promise.all([
+    Promise.allSettled([infoCache.get()]),
+    blockTime(),
+  ]);
+  const height = info.status === "fulfilled" ? chainHeight(info.value.data) : null;
+  if (!Number.isFinite(height)) {
+    return res.status(503).json({ error: "height_unavailable" });
+  }
+
+  res.json({
+    ...issuanceSummary({ height, blockSeconds: blockSeconds.observed, projectYears: years }),
+    blockTime: blockSeconds,
+    meta: { info: cacheMeta(infoCache, info) },
+    timestamp: Date.now(),
+  });
+});
+
+// Branded card images for bots and social posts, e.g. /api/image/price.png?size=twitter
+app.get("/api/image/:card.:format", async (req, res) => {
+  const { card, format } = req.params;
+  const theme = String(req.query.theme ?? "dark");
+  const size = parseImageSize(String(req.query.size ?? "og"));
+  const vs = String(req.query.vs ?? "usd").toLowerCase();
+  if (!IMAGE_CARDS.includes(card)) {
+    return res.status(404).json({ error: "unknown_card", cards: IMAGE_CARDS });
+  }
+  if (!IMAGE_FORMATS[format]) {
+    return res.status(400).json({ error: "invalid_format", formats: Object.keys(IMAGE_FORMATS) });
+  }
+  if (!IMAGE_THEMES[theme]) {
+    return res.status(400).json({ error: "invalid_theme", themes: Object.keys(IMAGE_THEMES) });
+  }
+  if (!size) {
+    return res.status(400).json({ error: "invalid_size", sizes: IMAGE_SIZES });
+  }
+  if (!SUPPORTED_CURRENCIES.has(vs)) {
+    return res.status(400).json({ error: "unsupported_currency", currencies: [vs] });
+  }
+
+  try {
+    trackedCurrencies.add(vs);
+    const image = await imageCacheFor(card, theme, size, vs, format).get();
+    res.set("Cache-Control", `public, max-age=${Math.round(IMAGE_CACHE_TTL_MS / 1000)}`);
+    res.type(IMAGE_FORMATS[format]).send(image);
+  } catch (err) {
+    console.error("image error:", err);
+    res.status(500).json({ error: "render_failed" });
+  }
+});
+
+/* ─── public data API (/api/v1) ─── */
+// One table per metric group, as JSON or CSV; see server/v1.js
+const V1_POOLS = ["transparent", "sprout", "sapling", "orchard", "lockbox", "shielded", "totalChain"];
+
+const column = (name, type, description) => ({ name, type, ...(description ? { description } : {}) });
+const keyColumn = (name, type, description) => ({ ...column(name, type, description), required: true });
+
+const V1_HISTORY_PARAMS = [
+  { name: "metric", description: "Comma-separated metrics (see /api/history/metrics)", schema: { type: "string" },
+    example: "priceUsd,height" },
+  { name: "from", description: "Start, ms since epoch or ISO date (default 24h before `to`)",
+    schema: { type: "string" } },
+  { name: "to", description: "End, ms since epoch or ISO date (default now)", schema: { type: "string" } },
+  { name: "resolution", description: "Bucket size, ms or e.g. 15m, 1h, 1d (default auto)",
+    schema: { type: "string" } },
+  { name: "agg", description: "Bucket aggregate", schema: { type: "string", enum: history.aggregators } },
+];
+
+const V1_ENDPOINTS = [
+  {
+    path: "/price",
+    summary: "ZEC price and market cap per currency",
+    params: [{
+      name: "vs",
+      description: `Comma-separated currencies (default usd,btc; at most ${MAX_VS_PER_REQUEST})`,
+      schema: { type: "string" },
+      example: "usd,eur",
+    }],
+    columns: [
+      keyColumn("currency", "string"),
+      column("price", "number"),
+      column("change24h", "number", "Percent"),
+      column("low24h", "number"),
+      column("high24h", "number"),
+      column("marketCap", "number"),
+      column("marketCapChange24h", "number", "Percent"),
+      column("marketCapChange", "number", "Absolute, in the row's currency"),
+    ],
+    maxAgeMs: PRICE_CACHE_TTL_MS,
+    async load(req, res) {
+      const requested = requestedCurrencies(req, res);
+      if (!requested) return null;
+      const currencies = requested.length ? requested : BASE_CURRENCIES;
+      const status = await buildStatus(currencies);
+      return {
+        rows: currencies.map((vs) => ({ currency: vs, ...status.prices[vs] })),
+        meta: currencies.map((vs) => status.meta[`price:${vs}`]),
+      };
+    },
+  },
+  {
+    path: "/chain",
+    summary: "Chain tip, supply and block time",
+    columns: [
+      column("height", "integer"),
+      column("circulatingSupply", "number", "ZEC"),
+      column("blockSeconds", "number", `Observed over the last ${BLOCK_TIME_WINDOW_MS / 3_600_000}h`),
+      column("targetBlockSeconds", "number"),
+    ],
+    maxAgeMs: INFO_CACHE_TTL_MS,
+    async load() {
+      const status = await buildStatus([]);
+      return {
+        rows: [{
+          height: status.height,
+          circulatingSupply: status.circulatingSupply,
+          blockSeconds: status.blockTime.observed,
+          targetBlockSeconds: status.blockTime.target,
+        }],
+        meta: [status.meta.info],
+      };
+    },
+  },
+  {
+    path: "/pools",
+    summary: "Value pools",
+    description: "lockbox includes the deferred-dev-fund multisig; shielded is sprout + sapling + orchard.",
+    columns: [keyColumn("pool", "string"), column("zec", "number")],
+    maxAgeMs: INFO_CACHE_TTL_MS,
+    async load() {
+      const status = await buildStatus([]);
+      return {
+        rows: V1_POOLS.map((pool) => ({ pool, zec: status.valuePools[pool] })),
+        meta: [status.meta.info, status.meta.lockbox],
+      };
+    },
+  },
+  {
+    path: "/network",
+    summary: "Difficulty, hashrate and recent blocks",
+    columns: [
+      column("difficulty", "number"),
+      column("hashrate", "number", "Sol/s"),
+      column("blockInterval", "number", "Seconds"),
+      column("txPerBlock", "number"),
+      column("shieldedTxPerBlock", "number"),
+      column("transparentTxPerBlock", "number"),
+      column("blocksSampled", "integer"),
+    ],
+    maxAgeMs: NETWORK_CACHE_TTL_MS,
+    async load() {
+      const status = await buildStatus([]);
+      return { rows: [{ ...status.network }], meta: [status.meta.network] };
+    },
+  },
+  {
+    path: "/mempool",
+    summary: "Mempool size, fees and transaction types",
+    columns: [
+      column("size", "integer", "Transactions"),
+      column("sampled", "integer", "Transactions the other columns cover (the first MEMPOOL_DETAIL_MAX_TX)"),
+      column("bytes", "integer"),
+      column("totalFees", "number", "ZEC"),
+      ...MEMPOOL_TX_TYPES.map((type) => column(type, "integer", `${type} transactions`)),
+    ],
+    maxAgeMs: MEMPOOL_DETAIL_CACHE_TTL_MS,
+    async load() {
+      const { size, sampled, bytes, totalFees, types, meta } = await buildMempool({ transactions: false });
+      return { rows: [{ size, sampled, bytes, totalFees, ...types }], meta: [meta.mempoolDetail] };
+    },
+  },
+  {
+    path: "/mempool/fees",
+    summary: "Mempool fee histogram",
+    description: "Buckets are multiples of each transaction's ZIP 317 conventional fee.",
+    columns: [
+      keyColumn("bucket", "string"),
+      column("label", "string"),
+      column("min", "number"),
+      column("max", "number", "Exclusive; null for the open-ended bucket"),
+      column("count", "integer"),
+    ],
+    maxAgeMs: MEMPOOL_DETAIL_CACHE_TTL_MS,
+    async load() {
+      const { feeBuckets, meta } = await buildMempool({ transactions: false });
+      return {
+        rows: feeBuckets.map(({ key: bucket, ...rest }) => ({ bucket, ...rest })),
+        meta: [meta.mempoolDetail],
+      };
+    },
+  },
+  {
+    path: "/treasury",
+    summary: "Public companies holding ZEC (CoinGecko)",
+    columns: [
+      column("name", "string"),
+      column("symbol", "string"),
+      column("country", "string"),
+      column("holdings", "number", "ZEC"),
+      column("entryValueUsd", "number"),
+      column("currentValueUsd", "number"),
+    ],
+    maxAgeMs: TREASURY_CACHE_TTL_MS,
+    async load() {
+      const treasury = await buildTreasury();
+      return {
+        rows: treasury.companies.map(({ name, symbol, country, holdings, entryValueUsd, currentValueUsd }) =>
+          ({ name, symbol, country, holdings, entryValueUsd, currentValueUsd })),
+        meta: [treasury.meta],
+      };
+    },
+  },
+  {
+    path: "/holders",
+    summary: "Tracked holders from config.json (lockbox, treasuries, addresses)",
+    columns: [
+      keyColumn("id", "string"),
+      column("label", "string"),
+      column("type", "string"),
+      column("zec", "number"),
+      column("asOf", "integer", "When the figure was fetched or entered, ms since epoch"),
+      column("stale", "boolean"),
+    ],
+    maxAgeMs: ADDRESS_CACHE_TTL_MS,
+    async load() {
+      const treasury = await buildTreasury();
+      return {
+        rows: treasury.holders.map(({ id, label, type, zec, asOf, stale }) => ({ id, label, type, zec, asOf, stale })),
+        meta: treasury.holders.map((h) => ({ fetchedAt: h.asOf, stale: h.stale })),
+      };
+    },
+  },
+  {
+    path: "/issuance",
+    summary: "Block subsidy, issued supply and next halving",
+    columns: [
+      keyColumn("height", "integer"),
+      column("halving", "integer", "Halvings so far"),
+      column("subsidy", "number", "ZEC per block"),
+      column("miner", "number", "ZEC per block"),
+      column("issued", "number", "ZEC issued by the schedule"),
+      column("issuedPct", "number", "Percent of 21M"),
+      column("blockSeconds", "number"),
+      column("nextHalvingHeight", "integer"),
+      column("nextHalvingBlocks", "integer"),
+      column("nextHalvingEta", "integer", "ms since epoch, at the observed block time"),
+      column("nextHalvingSubsidy", "number"),
+    ],
+    maxAgeMs: INFO_CACHE_TTL_MS,
+    async load(_req, res) {
+      const summary = await v1Issuance(res);
+      if (!summary) return null;
+      const { height, halving, subsidy, miner, issued, issuedPct, blockSeconds, nextHalving } = summary.issuance;
+      return {
+        rows: [{
+          height, halving, subsidy, miner, issued, issuedPct, blockSeconds,
+          nextHalvingHeight: nextHalving.height,
+          nextHalvingBlocks: nextHalving.blocks,
+          nextHalvingEta: nextHalving.eta,
+          nextHalvingSubsidy: nextHalving.subsidy,
+        }],
+        meta: [summary.meta],
+      };
+    },
+  },
+  {
+    path: "/issuance/recipients",
+    summary: "Who receives the current block subsidy",
+    columns: [
+      keyColumn("id", "string"),
+      column("label", "string"),
+      column("share", "number", "Fraction of the subsidy"),
+      column("zec", "number", "ZEC per block"),
+    ],
+    maxAgeMs: INFO_CACHE_TTL_MS,
+    async load(_req, res) {
+      const summary = await v1Issuance(res);
+      if (!summary) return null;
+      const { subsidy, miner, streams } = summary.issuance;
+      return {
+        // no subsidy once issuance has ended, so no miner share either
+        rows: [{ id: "miner", label: "Miners", share: subsidy ? miner / subsidy : null, zec: miner }, ...streams],
+        meta: [summary.meta],
+      };
+    },
+  },
+  {
+    path: "/history",
+    summary: "Recorded metric history",
+    description: "One row per timestamp with a column per requested metric.",
+    params: V1_HISTORY_PARAMS,
+    columns: [keyColumn("t", "integer", "ms since epoch")],
+    maxAgeMs: HISTORY_SAMPLE_MS,
+    async load(req, res) {
+      const query = historyQuery(req, res);
+      if (!query) return null;
+      const { series } = await history.query(query);
+      const rows = new Map();
+      for (const [metric, points] of Object.entries(series)) {
+        for (const [t, v] of points) {
+          if (!rows.has(t)) rows.set(t, { t });
+          rows.get(t)[metric] = v;
+        }
+      }
+      const sorted = [...rows.values()].sort((a, b) => a.t - b.t);
+      return {
+        rows: sorted,
+        columns: [keyColumn("t", "integer"), ...query.metrics.map((m) => column(m, "number"))],
+        meta: [{ fetchedAt: sorted.at(-1)?.t ?? null, stale: false }],
+      };
+    },
+  },
+];
+
+// The issuance summary as of the last chain info fetch, so it only changes with the data
+async function v1Issuance(res) {
+  const [[info], blockSeconds] = await Promise.all([
+    Promise.allSettled([infoCache.get()]),
+    blockTime(),
+  ]);
+  const height = info.status === "fulfilled" ? chainHeight(info.value.data) : null;
+  if (!Number.isFinite(height)) {
+    res.status(503).json({ error: "height_unavailable" });
+    return null;
+  }
+  const meta = infoCache.meta();
+  return {
+    issuance: issuanceSummary({ height, at: meta.fetchedAt, blockSeconds: blockSeconds.observed, projectYears: [] }),
+    meta,
+  };
+}
+
+app.use("/api/v1", makeV1Router(V1_ENDPOINTS, {
+  rateLimit: { limit: V1_RATE_LIMIT, windowMs: V1_RATE_WINDOW_MS },
+  openApi: {
+    basePath: "/api/v1",
+    title: "zecstats data API",
+    version: "1",
+    description: "Zcash network, supply and market figures as JSON or CSV tables.",
+  },
+}));
+
+// Widgets for partner sites: /embed/price?theme=light&currency=eur&size=sm in an
+// iframe, usually placed by the /embed.js loader
+app.get("/embed/:card", (req, res) => {
+  if (!EMBED_CARD_RE.test(req.params.card)) {
+    return res.status(404).json({ error: "unknown_card" });
+  }
+  res.set("Content-Security-Policy", `frame-ancestors ${embedPolicy.frameAncestors}`);
+  res.sendFile(path.resolve(EMBED_DIR, "embed.html"), (err) => {
+    if (err && !res.headersSent) res.status(503).json({ error: "embed_not_built" });
+  });
+});
+
+app.get("/embed.js", (_req, res) => {
+  res.set("Cache-Control", "public, max-age=3600");
+  res.sendFile(path.resolve(EMBED_DIR, "embed.js"), (err) => {
+    if (err && !res.headersSent) res.status(503).json({ error: "embed_not_built" });
+  });
+});
+
+// Hashed bundle files, safe to cache for good
+app.use("/assets", express.static(path.join(EMBED_DIR, "assets"), { immutable: true, maxAge: "1y" }));
+
 /* ─── startup ─── */
 app.listen(PORT, () => {
   console.log(`API server listening on http://localhost:${PORT}`);
   // Warm all caches in the background so first request is instant
   console.log("Warming caches…");
   Promise.allSettled([
-    priceCache.get(),
+    ...[...trackedCurrencies].map((vs) => priceCacheFor(vs).get()),
     infoCache.get(),
     mempoolCache.get(),
     lockboxCache.get(),
+    networkCache.get(),
     treasuryCache.get(),
   ]).then((results) => {
-    const labels = ["price", "info", "mempool", "lockbox", "treasury"];
+    const labels = [
+      ...[...trackedCurrencies].map((vs) => `price:${vs}`),
+      "info",
+      "mempool",
+      "lockbox",
+      "network",
+      "treasury",
+    ];
     results.forEach((r, i) => {
       if (r.status === "fulfilled") console.log(`  ✓ ${labels[i]} cache warm`);
       else console.warn(`  ✗ ${labels[i]} cache failed:`, r.reason?.message);
     });
     console.log("Cache warming complete.");
   });
+
+  // Watched balances are polled even with no screen open, so no change is missed
+  if (watchlist.entries.length) {
+    watchlist.ready().catch((err) => console.warn("watchlist init failed:", err.message));
+    const pollWatchlist = () => watchlistCaches().forEach((cache) => {
+      cache.get().catch((err) => console.warn(`${cache.label} poll failed:`, err.message));
+    });
+    pollWatchlist();
+    setInterval(pollWatchlist, ADDRESS_CACHE_TTL_MS / 2);
+  }
+
+  if (alerts.rules.length) {
+    setInterval(() => {
+      buildStatus()
+        .then(checkAlerts)
+        .catch((err) => console.warn("alert check failed:", err.message));
+    }, ALERT_CHECK_MS);
+  }
+
+  // Keep sampling even when no screen is polling, so history has no gaps
+  history.ready().catch((err) => console.warn("history init failed:", err.message));
+  setInterval(() => {
+    buildStatus()
+      .then(recordHistory)
+      .catch((err) => console.warn("history sample failed:", err.message));
+  }, HISTORY_SAMPLE_MS);
 });
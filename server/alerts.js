@@ -0,0 +1,224 @@
+import { postJSON } from "./http.js";
+import { readSecret, registerSecret } from "./secrets.js";
+
+const SEVERITIES = ["info", "warning", "critical"];
+const WEBHOOK_FORMATS = ["json", "discord", "slack"];
+const DISCORD_COLORS = { info: 0x4fc3f7, warning: 0xf4c542, critical: 0xff5555 };
+
+/* ─── rules ─── */
+// config.json "alerts".rules, one entry per rule:
+//   { id, type: "threshold", metric, above?, below? }      firing while outside the range
+//   { id, type: "cross",     metric, level | levels | step } each time the value crosses a level
+//   { id, type: "stale",     source, minutes }              an upstream cache failing for that long
+// metric is a /api/status field, dotted for nested ones ("valuePools.shielded");
+// source is a cache label from /api/health ("price:usd", "info", …).
+// Optional on every rule: label, severity (info | warning | critical), cooldownMinutes.
+function ruleProblem(r) {
+  switch (r?.type) {
+    case "threshold":
+      if (typeof r.metric !== "string") return "metric is required";
+      return Number.isFinite(r.above) || Number.isFinite(r.below) ? null : "above or below is required";
+    case "cross": {
+      if (typeof r.metric !== "string") return "metric is required";
+      const levels = [].concat(r.levels ?? r.level ?? []);
+      if (levels.length) return levels.every(Number.isFinite) ? null : "levels must be numbers";
+      return r.step > 0 ? null : "level, levels or step is required";
+    }
+    case "stale":
+      if (typeof r.source !== "string") return "source is required";
+      return r.minutes > 0 ? null : "minutes must be positive";
+    default:
+      return `unknown type "${r?.type}"`;
+  }
+}
+
+// Bad entries are dropped with a warning rather than stopping the server
+export function parseAlertRules(list = [], { cooldownMinutes = 10 } = {}) {
+  const rules = [];
+  list.forEach((entry, i) => {
+    const id = String(entry?.id ?? `alert-${i + 1}`);
+    const problem = ruleProblem(entry);
+    if (problem) {
+      console.warn(`alerts: "${id}" ignored (${problem})`);
+      return;
+    }
+    const { level, levels, step, cooldownMinutes: ruleCooldown, ...rest } = entry;
+    const crossLevels = [].concat(levels ?? level ?? []).sort((a, b) => a - b);
+    rules.push({
+      ...rest,
+      id,
+      label: entry.label ?? id,
+      severity: SEVERITIES.includes(entry.severity) ? entry.severity : "warning",
+      cooldownMs: (Number.isFinite(ruleCooldown) ? ruleCooldown : cooldownMinutes) * 60_000,
+      // explicit levels win over step
+      ...(entry.type === "cross" && (crossLevels.length ? { levels: crossLevels } : { step })),
+    });
+  });
+  return rules;
+}
+
+// { url } or { urlEnv: "NAME" } (read like any other secret, NAME_FILE works too)
+export function parseWebhooks(list = []) {
+  const hooks = [];
+  for (const entry of list) {
+    const format = WEBHOOK_FORMATS.includes(entry?.format) ? entry.format : "json";
+    const url = entry?.urlEnv ? readSecret(entry.urlEnv) : entry?.url;
+    if (!url) {
+      console.warn(`alerts: webhook ${entry?.urlEnv ?? ""} ignored (no url)`);
+      continue;
+    }
+    // Discord and Slack webhook URLs are credentials in themselves
+    registerSecret(url);
+    hooks.push({ url, format });
+  }
+  return hooks;
+}
+
+function valueAt(obj, path) {
+  const value = path.split(".").reduce((node, key) => node?.[key], obj);
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+function fmtValue(x) {
+  return Number.isInteger(x) ? String(x) : String(Number(x.toPrecision(6)));
+}
+
+// Band index of `value` among the levels (or step multiples): crossing a level
+// moves it to a neighbouring band
+function band(rule, value) {
+  if (rule.step) return Math.floor(value / rule.step);
+  return rule.levels.filter((level) => value >= level).length;
+}
+
+// The last level passed on the way from one band to the other
+function crossedLevel(rule, from, to) {
+  if (rule.step) return (to > from ? to : to + 1) * rule.step;
+  return rule.levels[to > from ? to - 1 : to];
+}
+
+/* ─── evaluation ─── */
+// evaluate() compares each rule with the last evaluation and reports what
+// changed through onEvent: { rule, label, severity, state: "firing" | "resolved",
+// message, value, t }. Crossings have no resolved state; they stay on the
+// banner for bannerMs.
+export function makeAlerts({ rules, bannerMs = 10 * 60_000, maxEvents = 50, onEvent }) {
+  const startedAt = Date.now();
+  const state = new Map(rules.map((r) => [r.id, { firing: null, band: null, lastFiredAt: 0 }]));
+  let events = [];
+
+  function emit(rule, kind, message, value, t) {
+    const event = { rule: rule.id, label: rule.label, severity: rule.severity, state: kind, message, value, t };
+    events = [...events, event].slice(-maxEvents);
+    if (kind === "firing") state.get(rule.id).lastFiredAt = t;
+    onEvent?.(event);
+    return event;
+  }
+
+  function canFire(rule, t) {
+    return t - state.get(rule.id).lastFiredAt >= rule.cooldownMs;
+  }
+
+  function checkThreshold(rule, value, t) {
+    const s = state.get(rule.id);
+    if (value === null) return;
+    const outside = (Number.isFinite(rule.above) && value > rule.above && `above ${fmtValue(rule.above)}`)
+      || (Number.isFinite(rule.below) && value < rule.below && `below ${fmtValue(rule.below)}`)
+      || null;
+    if (outside && !s.firing && canFire(rule, t)) {
+      s.firing = emit(rule, "firing", `${rule.metric} is ${outside} (${fmtValue(value)})`, value, t);
+    } else if (!outside && s.firing) {
+      s.firing = null;
+      emit(rule, "resolved", `${rule.metric} is back to ${fmtValue(value)}`, value, t);
+    }
+  }
+
+  function checkCross(rule, value, t) {
+    const s = state.get(rule.id);
+    if (value === null) return;
+    const current = band(rule, value);
+    const previous = s.band;
+    s.band = current;
+    if (previous === null || previous === current || !canFire(rule, t)) return;
+    const direction = current > previous ? "above" : "below";
+    const level = crossedLevel(rule, previous, current);
+    s.firing = emit(rule, "firing", `${rule.metric} crossed ${direction} ${fmtValue(level)} (${fmtValue(value)})`, value, t);
+  }
+
+  function checkStale(rule, health, t) {
+    const s = state.get(rule.id);
+    const cache = health.get(rule.source);
+    if (!cache) return;
+    const since = cache.lastSuccessAt ?? startedAt;
+    const down = cache.consecutiveFailures > 0 && t - since >= rule.minutes * 60_000;
+    if (down && !s.firing && canFire(rule, t)) {
+      s.firing = emit(rule, "firing", `${rule.source} has been failing since ${new Date(since).toISOString()}`, null, t);
+    } else if (!down && s.firing && cache.consecutiveFailures === 0) {
+      s.firing = null;
+      emit(rule, "resolved", `${rule.source} is answering again`, null, t);
+    }
+  }
+
+  // status: an /api/status payload; health: Map(cache label -> cache.health())
+  function evaluate({ status, health = new Map() }, t = Date.now()) {
+    for (const rule of rules) {
+      if (rule.type === "threshold" && status) checkThreshold(rule, valueAt(status, rule.metric), t);
+      else if (rule.type === "cross" && status) checkCross(rule, valueAt(status, rule.metric), t);
+      else if (rule.type === "stale") checkStale(rule, health, t);
+    }
+  }
+
+  // What the banner shows: firing threshold/stale rules and recent crossings
+  function active(t = Date.now()) {
+    return rules
+      .map((rule) => ({ rule, firing: state.get(rule.id).firing }))
+      .filter(({ rule, firing }) => firing && (rule.type !== "cross" || t - firing.t < bannerMs))
+      .map(({ firing }) => firing)
+      .sort((a, b) => b.t - a.t);
+  }
+
+  function recent(limit = maxEvents) {
+    return events.slice(-limit).reverse();
+  }
+
+  return { evaluate, active, recent, rules };
+}
+
+/* ─── webhooks ─── */
+function webhookText(event) {
+  const prefix = event.state === "resolved" ? "Resolved" : event.severity.toUpperCase();
+  return `[${prefix}] ${event.label}: ${event.message}`;
+}
+
+export function webhookPayload(format, event) {
+  switch (format) {
+    case "discord":
+      return {
+        content: webhookText(event),
+        embeds: [{
+          title: event.label,
+          description: event.message,
+          color: event.state === "resolved" ? 0x00ff99 : DISCORD_COLORS[event.severity],
+          timestamp: new Date(event.t).toISOString(),
+        }],
+      };
+    case "slack":
+      return {
+        text: webhookText(event),
+        blocks: [{ type: "section", text: { type: "mrkdwn", text: `*${event.label}*\n${event.message}` } }],
+      };
+    default:
+      return { source: "zecstats-totem", ...event };
+  }
+}
+
+// One failed hook doesn't hold up the others. No retries: a 5xx or timeout
+// may come after the post was delivered, and a repeat would alert twice.
+export async function sendWebhooks(hooks, event) {
+  await Promise.allSettled(hooks.map(async ({ url, format }) => {
+    try {
+      await postJSON(url, webhookPayload(format, event), { retries: 0 });
+    } catch (err) {
+      console.warn(`alert webhook failed (${format}):`, err.message);
+    }
+  }));
+}
@@ -0,0 +1,93 @@
+import { counter, histogram } from "./metrics.js";
+
+// Data older than two TTLs plus this grace is flagged stale; the grace covers
+// slow upstreams that are still retrying
+const STALE_GRACE_MS = 30_000;
+
+/* ─── telemetry ─── */
+const cacheReads = counter(
+  "zecstats_cache_reads_total",
+  "Cache reads by result: hit, shared (joined a refresh in flight), refresh, " +
+    "stale (refresh failed, old data served) or error"
+);
+const cacheRefreshDuration = histogram(
+  "zecstats_cache_refresh_duration_seconds",
+  "Duration of cache refreshes, including provider failover and retries"
+);
+
+/* ─── generic cache factory ─── */
+export function makeCache(ttlMs, fetcher, label) {
+  const cache = { data: null, fetchedAt: 0, promise: null };
+  const health = {
+    lastSuccessAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+  };
+  const maxAgeMs = ttlMs * 2 + STALE_GRACE_MS;
+  const listeners = new Set();
+
+  function get() {
+    const now = Date.now();
+    if (cache.data && now - cache.fetchedAt <= ttlMs) {
+      cacheReads.inc({ cache: label, result: "hit" });
+      return Promise.resolve(cache.data);
+    }
+    if (cache.promise) {
+      cacheReads.inc({ cache: label, result: "shared" });
+      return cache.promise;
+    }
+
+    const timed = () => cacheRefreshDuration.observe({ cache: label }, (Date.now() - now) / 1000);
+    cache.promise = fetcher()
+      .then((fresh) => {
+        timed();
+        cacheReads.inc({ cache: label, result: "refresh" });
+        cache.data = fresh;
+        cache.fetchedAt = Date.now();
+        health.lastSuccessAt = cache.fetchedAt;
+        health.consecutiveFailures = 0;
+        listeners.forEach((fn) => fn(fresh, label));
+        return fresh;
+      })
+      .catch((err) => {
+        timed();
+        cacheReads.inc({ cache: label, result: cache.data ? "stale" : "error" });
+        health.lastErrorAt = Date.now();
+        health.lastError = err.message;
+        health.consecutiveFailures += 1;
+        if (cache.data) {
+          console.warn(`${label} fetch error (serving stale cache):`, err.message);
+          return cache.data;
+        }
+        throw err;
+      })
+      .finally(() => {
+        cache.promise = null;
+      });
+
+    return cache.promise;
+  }
+
+  // Called after every successful upstream fetch (not on cache hits)
+  function onRefresh(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  // How fresh the data get() serves is; screens age it further with maxAgeMs
+  function meta() {
+    const fetchedAt = cache.data ? cache.fetchedAt : null;
+    return {
+      fetchedAt,
+      stale: fetchedAt === null || Date.now() - fetchedAt > maxAgeMs,
+      maxAgeMs,
+    };
+  }
+
+  function status() {
+    return { label, ttlMs, ...meta(), ...health };
+  }
+
+  return { get, onRefresh, meta, health: status, ttlMs, label };
+}
@@ -0,0 +1,40 @@
+/* ─── embed origins ─── */
+// config.json "embed".origins, one entry per partner site:
+//   "https://partner.example"                              API (CORS) and framing
+//   { origin: "https://partner.example", api?, frame? }    either one turned off with false
+//   "*"                                                    any site
+// Without entries the API is same-origin only and widgets can't be framed elsewhere.
+export const EMBED_CARD_RE = /^[A-Za-z]+$/;
+
+function parseOrigin(value) {
+  if (value === "*") return value;
+  try {
+    const url = new URL(value);
+    return /^https?:$/.test(url.protocol) && url.origin === value ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+// Bad entries are dropped with a warning, which leaves that site locked out
+export function parseEmbedOrigins(list = []) {
+  const api = new Set();
+  const frame = new Set();
+  for (const entry of list) {
+    const raw = typeof entry === "string" ? entry : entry?.origin;
+    const origin = parseOrigin(raw);
+    if (!origin) {
+      console.warn(`embed: origin "${raw}" ignored (expected "*" or scheme://host[:port] without a path)`);
+      continue;
+    }
+    if (entry?.api !== false) api.add(origin);
+    if (entry?.frame !== false) frame.add(origin);
+  }
+
+  return {
+    // Same-origin requests carry no Origin header and need no CORS headers
+    allowsApi: (origin) => Boolean(origin) && (api.has("*") || api.has(origin)),
+    frameAncestors: frame.has("*") ? "*" : ["'self'", ...frame].join(" "),
+    origins: { api: [...api], frame: [...frame] },
+  };
+}
@@ -0,0 +1,224 @@
+import fs from "fs/promises";
+import path from "path";
+
+const DAY_MS = 24 * 60 * 60_000;
+const DAY_CACHE_LIMIT = 45;
+const RESOLUTION_STEPS_MS = [
+  60_000,
+  5 * 60_000,
+  15 * 60_000,
+  60 * 60_000,
+  4 * 60 * 60_000,
+  DAY_MS,
+];
+const AGGREGATORS = {
+  avg: (values) => values.reduce((sum, v) => sum + v, 0) / values.length,
+  // reduce rather than Math.min(...values): day-sized buckets overflow the call stack
+  min: (values) => values.reduce((a, b) => (b < a ? b : a)),
+  max: (values) => values.reduce((a, b) => (b > a ? b : a)),
+  first: (values) => values[0],
+  last: (values) => values[values.length - 1],
+};
+
+/* ─── helpers ─── */
+function dayKey(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+function dayStart(t) {
+  return Math.floor(t / DAY_MS) * DAY_MS;
+}
+
+// Collapses nested objects into dotted keys, keeping finite numbers only:
+// { valuePools: { orchard: 1 } } -> { "valuePools.orchard": 1 }
+export function flattenMetrics(obj, prefix = "", out = {}) {
+  for (const [key, value] of Object.entries(obj ?? {})) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (typeof value === "number" && Number.isFinite(value)) {
+      out[name] = value;
+    } else if (value && typeof value === "object" && !Array.isArray(value)) {
+      flattenMetrics(value, name, out);
+    }
+  }
+  return out;
+}
+
+export function parseDuration(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const match = /^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)$/i.exec(String(value).trim());
+  if (!match) return null;
+  const units = { s: 1_000, m: 60_000, h: 60 * 60_000, d: DAY_MS, w: 7 * DAY_MS };
+  return Number(match[1]) * units[match[2].toLowerCase()];
+}
+
+export function parseTime(value, fallback) {
+  if (value === null || value === undefined || value === "") return fallback;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// The smallest step that keeps a span under maxPoints (0 = raw samples)
+function pickResolution(spanMs, maxPoints, minStepMs) {
+  const target = spanMs / maxPoints;
+  if (target <= minStepMs) return 0;
+  return RESOLUTION_STEPS_MS.find((step) => step >= target) ??
+    Math.ceil(target / DAY_MS) * DAY_MS;
+}
+
+function downsample(points, resolutionMs, aggregate) {
+  if (!resolutionMs) return points;
+  const buckets = new Map();
+  for (const [t, v] of points) {
+    const bucket = Math.floor(t / resolutionMs) * resolutionMs;
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(v);
+  }
+  return [...buckets].map(([t, values]) => [t, aggregate(values)]);
+}
+
+/* ─── JSONL store ─── */
+// One file per UTC day (YYYY-MM-DD.jsonl), one flattened sample per line.
+export function makeHistoryStore({
+  dir,
+  sampleIntervalMs = 60_000,
+  retentionDays = 400,
+  maxPoints = 500,
+}) {
+  const state = {
+    today: null,
+    todaySamples: [],
+    firstDay: null,
+    lastRecordedAt: 0,
+    metrics: new Set(),
+    dayCache: new Map(),
+    writeChain: Promise.resolve(),
+    ready: null,
+  };
+
+  async function readDay(key) {
+    try {
+      const raw = await fs.readFile(path.join(dir, `${key}.jsonl`), "utf8");
+      const samples = [];
+      for (const line of raw.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          samples.push(JSON.parse(line));
+        } catch {
+          // a torn last line after a crash is expected; skip it
+        }
+      }
+      return samples;
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  async function init() {
+    await fs.mkdir(dir, { recursive: true });
+    state.today = dayKey(Date.now());
+    state.todaySamples = await readDay(state.today);
+    for (const sample of state.todaySamples) {
+      Object.keys(sample).forEach((k) => k !== "t" && state.metrics.add(k));
+    }
+    state.lastRecordedAt = state.todaySamples.at(-1)?.t ?? 0;
+    await prune();
+  }
+
+  function ready() {
+    if (!state.ready) state.ready = init();
+    return state.ready;
+  }
+
+  // Also remembers the oldest day kept, which bounds how far back a query reads
+  async function prune() {
+    const cutoff = retentionDays ? dayKey(Date.now() - retentionDays * DAY_MS) : "";
+    const days = (await fs.readdir(dir)).filter((f) => f.endsWith(".jsonl")).sort();
+    const expired = days.filter((f) => f.slice(0, 10) < cutoff);
+    await Promise.all(expired.map((f) => fs.unlink(path.join(dir, f))));
+    state.firstDay = days[expired.length]?.slice(0, 10) ?? state.today;
+  }
+
+  async function samplesForDay(key) {
+    if (key === state.today) return state.todaySamples;
+    if (state.dayCache.has(key)) {
+      const cached = state.dayCache.get(key);
+      state.dayCache.delete(key);
+      state.dayCache.set(key, cached);
+      return cached;
+    }
+    const samples = await readDay(key);
+    state.dayCache.set(key, samples);
+    if (state.dayCache.size > DAY_CACHE_LIMIT) {
+      state.dayCache.delete(state.dayCache.keys().next().value);
+    }
+    return samples;
+  }
+
+  async function record(timestamp, payload) {
+    await ready();
+    const t = Number.isFinite(timestamp) ? timestamp : Date.now();
+    if (t - state.lastRecordedAt < sampleIntervalMs) return false;
+
+    const metrics = flattenMetrics(payload);
+    if (!Object.keys(metrics).length) return false;
+    state.lastRecordedAt = t;
+
+    const key = dayKey(t);
+    if (key !== state.today) {
+      state.today = key;
+      state.todaySamples = [];
+      prune().catch((err) => console.warn("history prune failed:", err.message));
+    }
+    const sample = { t, ...metrics };
+    state.todaySamples.push(sample);
+    Object.keys(metrics).forEach((k) => state.metrics.add(k));
+
+    const file = path.join(dir, `${key}.jsonl`);
+    state.writeChain = state.writeChain
+      .then(() => fs.appendFile(file, `${JSON.stringify(sample)}\n`))
+      .catch((err) => console.warn("history write failed:", err.message));
+    return true;
+  }
+
+  async function query({ metrics, from: requestedFrom, to: requestedTo, resolution, agg = "avg" }) {
+    await ready();
+    // Nothing exists before the oldest kept day or after now, so a range like
+    // from=0 only walks the days actually on disk
+    const to = Math.min(requestedTo, Date.now());
+    const from = Math.min(Math.max(requestedFrom, Date.parse(state.firstDay ?? state.today)), to);
+    const aggregate = AGGREGATORS[agg] ?? AGGREGATORS.avg;
+    const series = Object.fromEntries(metrics.map((m) => [m, []]));
+
+    for (let day = dayStart(from); day <= to; day += DAY_MS) {
+      const samples = await samplesForDay(dayKey(day));
+      for (const sample of samples) {
+        if (sample.t < from || sample.t > to) continue;
+        for (const metric of metrics) {
+          const value = sample[metric];
+          if (typeof value === "number") series[metric].push([sample.t, value]);
+        }
+      }
+    }
+
+    // An explicit resolution is honoured only down to what maxPoints allows
+    const minResolutionMs = pickResolution(to - from, maxPoints, sampleIntervalMs);
+    const resolutionMs = resolution === "auto" || resolution === undefined
+      ? minResolutionMs
+      : Math.max(resolution, minResolutionMs);
+    for (const metric of metrics) {
+      series[metric] = downsample(series[metric], resolutionMs, aggregate);
+    }
+
+    return { from, to, resolution: resolutionMs, agg, series };
+  }
+
+  async function listMetrics() {
+    await ready();
+    return [...state.metrics].sort();
+  }
+
+  return { ready, record, query, listMetrics, aggregators: Object.keys(AGGREGATORS) };
+}
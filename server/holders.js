@@ -0,0 +1,107 @@
+import { isTransparentAddress, sanitizeNumber } from "./util.js";
+
+/* ─── holder registry ─── */
+// config.json "holders", one entry per tracked holder:
+//   { id, label, type: "fixed",     amount, asOf }
+//   { id, label, type: "shares",    shares, zecPerShare, asOf }
+//   { id, label, type: "address",   address | addresses }
+//   { id, label, type: "coingecko", company? }  (name or symbol; all companies when omitted)
+//   { id, label, type: "pool",      pool, addresses? }  (on-chain value pool, plus watched addresses)
+function parseAsOf(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const t = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(t) ? t : null;
+}
+
+function holderProblem(h, addresses) {
+  const badAddress = addresses.find((a) => !isTransparentAddress(a));
+  if (badAddress) return `"${badAddress}" is not a transparent address`;
+  switch (h?.type) {
+    case "fixed":
+      return Number.isFinite(h.amount) ? null : "amount must be a number";
+    case "shares":
+      return Number.isFinite(h.shares) && Number.isFinite(h.zecPerShare)
+        ? null
+        : "shares and zecPerShare must be numbers";
+    case "address":
+      return addresses.length ? null : "address is required";
+    case "coingecko":
+      return null;
+    case "pool":
+      return typeof h.pool === "string" ? null : "pool is required";
+    default:
+      return `unknown type "${h?.type}"`;
+  }
+}
+
+// Bad entries are dropped with a warning rather than stopping the server
+export function parseHolders(list = []) {
+  const holders = [];
+  list.forEach((entry, i) => {
+    const id = String(entry?.id ?? `holder-${i + 1}`);
+    const addresses = [].concat(entry?.addresses ?? entry?.address ?? []).map(String);
+    const problem = holderProblem(entry, addresses);
+    if (problem) {
+      console.warn(`holders: "${id}" ignored (${problem})`);
+      return;
+    }
+    holders.push({ ...entry, id, label: entry.label ?? id, addresses, asOf: parseAsOf(entry.asOf) });
+  });
+  return holders;
+}
+
+export function holderAddresses(holders) {
+  return [...new Set(holders.flatMap((h) => h.addresses))];
+}
+
+// Sums parts of { zec, fetchedAt, stale, maxAgeMs }. A missing part leaves the
+// sum of the rest, flagged stale. The oldest part decides asOf, and
+// asOf + maxAgeMs is when the first part goes stale.
+function combine(parts) {
+  const known = parts.filter((p) => Number.isFinite(p.zec));
+  if (!known.length) return { zec: null, asOf: null, stale: true, maxAgeMs: null };
+  const asOf = Math.min(...known.map((p) => p.fetchedAt));
+  return {
+    zec: known.reduce((sum, p) => sum + p.zec, 0),
+    asOf,
+    stale: known.length < parts.length || known.some((p) => p.stale),
+    maxAgeMs: Math.min(...known.map((p) => p.fetchedAt + p.maxAgeMs)) - asOf,
+  };
+}
+
+function findCompany(companies, query) {
+  const q = query.toLowerCase();
+  return companies.find((c) =>
+    String(c?.name ?? "").toLowerCase().includes(q) || String(c?.symbol ?? "").toLowerCase() === q
+  );
+}
+
+// inputs: { treasury: { data, meta }, pools: { data, meta }, balances: Map(address -> part) }
+// where meta and parts carry { fetchedAt, stale, maxAgeMs }
+export function resolveHolder(h, { treasury, pools, balances }) {
+  const base = { id: h.id, label: h.label, type: h.type };
+  const missing = { zec: null, fetchedAt: null, stale: true, maxAgeMs: null };
+  const addressParts = h.addresses.map((a) => balances.get(a) ?? missing);
+
+  switch (h.type) {
+    case "fixed":
+      return { ...base, zec: h.amount, asOf: h.asOf, stale: false, maxAgeMs: null };
+    case "shares":
+      return { ...base, zec: h.shares * h.zecPerShare, asOf: h.asOf, stale: false, maxAgeMs: null };
+    case "address":
+      return { ...base, ...combine(addressParts) };
+    case "coingecko": {
+      const companies = Array.isArray(treasury.data?.companies) ? treasury.data.companies : [];
+      const zec = h.company
+        ? sanitizeNumber(findCompany(companies, h.company)?.total_holdings)
+        : sanitizeNumber(treasury.data?.total_holdings);
+      return { ...base, ...combine([{ ...treasury.meta, zec }]) };
+    }
+    case "pool": {
+      const pool = { ...pools.meta, zec: sanitizeNumber(pools.data?.[h.pool]) };
+      return { ...base, ...combine([pool, ...addressParts]) };
+    }
+    default:
+      return { ...base, zec: null, asOf: null, stale: true, maxAgeMs: null };
+  }
+}
@@ -0,0 +1,121 @@
+import axios from "axios";
+import { delay } from "./util.js";
+import { redact } from "./secrets.js";
+import { counter, histogram } from "./metrics.js";
+
+/* ─── tunables ─── */
+const REQUEST_TIMEOUT_MS    = Number(process.env.REQUEST_TIMEOUT_MS    ?? 10_000);
+const REQUEST_RETRIES       = Number(process.env.REQUEST_RETRIES       ?? 1);
+const REQUEST_RETRY_DELAY_MS = Number(process.env.REQUEST_RETRY_DELAY_MS ?? 1_000);
+
+const RETRYABLE_ERROR_CODES = new Set([
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "ECONNRESET",
+  "EPIPE",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EAI_AGAIN",
+]);
+
+/* ─── telemetry ─── */
+// Labelled by host only: paths can carry addresses and tokens
+const upstreamRequests = counter(
+  "zecstats_upstream_requests_total",
+  "Upstream HTTP attempts by host and result (HTTP status or error code)"
+);
+const upstreamRetries = counter("zecstats_upstream_retries_total", "Upstream attempts that were retried");
+const upstreamFailures = counter(
+  "zecstats_upstream_failures_total",
+  "Upstream requests that failed after their last retry"
+);
+const upstreamDuration = histogram(
+  "zecstats_upstream_request_duration_seconds",
+  "Duration of each upstream HTTP attempt"
+);
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "unknown";
+  }
+}
+
+/* ─── helpers ─── */
+function normalizeJSON(value) {
+  if (typeof value === "string") {
+    try { return JSON.parse(value); } catch { return value; }
+  }
+  return value;
+}
+
+function isRetryableError(err) {
+  const statusCode = err.response?.status ?? null;
+  if (typeof statusCode === "number") {
+    return statusCode === 429 || statusCode >= 500;
+  }
+  return RETRYABLE_ERROR_CODES.has(err.code ?? "");
+}
+
+/* ─── HTTP fetcher with retry ─── */
+async function requestJSON(method, url, body, config = {}) {
+  const {
+    headers,
+    timeout,
+    httpsAgent,
+    auth,
+    retries = REQUEST_RETRIES,
+    retryDelayMs = REQUEST_RETRY_DELAY_MS,
+  } = config;
+
+  const axiosConfig = {
+    method,
+    url,
+    data: body,
+    headers: {
+      accept: "application/json",
+      "user-agent": "zcash-totem/1.0",
+      ...headers,
+    },
+    timeout: timeout ?? REQUEST_TIMEOUT_MS,
+    httpsAgent,
+    auth,
+  };
+
+  const host = hostOf(url);
+  let attempt = 0;
+  while (attempt <= retries) {
+    const startedAt = performance.now();
+    const timed = () => upstreamDuration.observe({ host }, (performance.now() - startedAt) / 1000);
+    try {
+      const res = await axios.request(axiosConfig);
+      timed();
+      upstreamRequests.inc({ host, result: res.status });
+      return normalizeJSON(res.data);
+    } catch (err) {
+      timed();
+      attempt += 1;
+      const status = err.response?.status ?? err.code ?? "request_failed";
+      upstreamRequests.inc({ host, result: status });
+      if (!isRetryableError(err) || attempt > retries) {
+        upstreamFailures.inc({ host });
+        // Only status and body travel on; the request config holds credentials
+        const wrapped = new Error(`${redact(url)} -> HTTP ${status}`);
+        wrapped.response = err.response && { status: err.response.status, data: err.response.data };
+        throw wrapped;
+      }
+      upstreamRetries.inc({ host });
+      console.warn(`request retry ${attempt}/${retries} for ${redact(url)} (${status})`);
+      await delay(retryDelayMs * attempt);
+    }
+  }
+}
+
+export function getJSON(url, config) {
+  return requestJSON("get", url, undefined, config);
+}
+
+export function postJSON(url, body, config) {
+  return requestJSON("post", url, body, config);
+}
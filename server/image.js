@@ -0,0 +1,357 @@
+import fs from "fs";
+import { createRequire } from "module";
+import { Resvg } from "@resvg/resvg-js";
+import { fmtBytes, fmtFiat, fmtHashrate, fmtNumber, fmtPercent } from "../shared/format.js";
+import { issuanceSummary, MAX_SUPPLY_ZEC } from "../shared/issuance.js";
+
+const require = createRequire(import.meta.url);
+
+const FONT_FAMILY = "Share Tech Mono";
+const FONT_FILE = require.resolve(
+  "@expo-google-fonts/share-tech-mono/400Regular/ShareTechMono_400Regular.ttf"
+);
+const FONT_URI = `data:font/ttf;base64,${fs.readFileSync(FONT_FILE).toString("base64")}`;
+const LOGO_URI = `data:image/png;base64,${
+  fs.readFileSync(new URL("../assets/Primary Logo White Yellow.png", import.meta.url)).toString("base64")
+}`;
+const LOGO_ASPECT = 1080 / 442;
+const WATERMARK = "https://zecstats.info";
+
+// Open Graph and Twitter/X large-image cards, plus a square post
+export const IMAGE_SIZES = {
+  og: { width: 1200, height: 630 },
+  twitter: { width: 1200, height: 675 },
+  square: { width: 1080, height: 1080 },
+};
+
+export const IMAGE_THEMES = {
+  dark: {
+    bg: "#000000", glow: "#111111", card: "#050505", border: "#151515",
+    fg: "#cfffcf", muted: "#888888", accent: "#f4c542", good: "#00ff99", bad: "#ff5555",
+    sprout: "#b388ff", sapling: "#4fc3f7", orchard: "#f4c542",
+    track: "#1c1c1c", watermark: "rgba(255,255,255,0.07)", logoPlate: null,
+  },
+  // The logo is white and yellow, so the light theme sets it on a dark plate
+  light: {
+    bg: "#ecece6", glow: "#ffffff", card: "#ffffff", border: "#d8d8d0",
+    fg: "#102010", muted: "#666666", accent: "#b8860b", good: "#00995c", bad: "#d43c3c",
+    sprout: "#7c4dff", sapling: "#0288d1", orchard: "#b8860b",
+    track: "#e4e4dc", watermark: "rgba(0,0,0,0.05)", logoPlate: "#111111",
+  },
+};
+
+// "og", "twitter", "square" or the matching "1200x630"-style dimensions
+export function parseImageSize(value = "og") {
+  if (IMAGE_SIZES[value]) return { name: value, ...IMAGE_SIZES[value] };
+  const name = Object.keys(IMAGE_SIZES).find((key) =>
+    `${IMAGE_SIZES[key].width}x${IMAGE_SIZES[key].height}` === value
+  );
+  return name ? { name, ...IMAGE_SIZES[name] } : null;
+}
+
+/* ─── panels ─── */
+// Each card becomes a panel: { label, value, unit?, change?, lines, bar?, segments?, spark?, metaKeys }
+function pricePanel({ status, currency, series }) {
+  const quote = status.prices?.[currency] ?? {};
+  return {
+    label: `ZEC / ${currency.toUpperCase()}`,
+    value: fmtFiat(quote.price, currency),
+    change: quote.change24h,
+    lines: [
+      `Low ${fmtFiat(quote.low24h, currency)} / High ${fmtFiat(quote.high24h, currency)}`,
+      `Market cap ${fmtFiat(quote.marketCap, currency)}`,
+    ],
+    spark: series?.[`prices.${currency}`],
+    metaKeys: [`price:${currency}`],
+  };
+}
+
+function poolsPanel({ status }) {
+  const vp = status.valuePools ?? {};
+  const circulating = Number.isFinite(status.circulatingSupply) ? status.circulatingSupply : vp.totalChain;
+  const minedPct = Number.isFinite(circulating) ? (circulating / MAX_SUPPLY_ZEC) * 100 : null;
+  const shieldedPct = vp.totalChain > 0 && Number.isFinite(vp.shielded) ? (vp.shielded / vp.totalChain) * 100 : null;
+  return {
+    label: "Circulating supply",
+    value: fmtNumber(circulating, 0),
+    unit: "ZEC",
+    lines: [
+      `of ${fmtNumber(MAX_SUPPLY_ZEC, 0)} ZEC`,
+      `Shielded ${fmtNumber(vp.shielded, 0)} ZEC (${fmtNumber(shieldedPct, 1)}%)`,
+    ],
+    bar: Number.isFinite(minedPct) && { pct: minedPct, label: `${fmtNumber(minedPct, 2)}% mined` },
+    metaKeys: ["info"],
+  };
+}
+
+function shieldedPoolsPanel({ status }) {
+  const vp = status.valuePools ?? {};
+  const pools = ["sprout", "sapling", "orchard"].filter((key) => Number.isFinite(vp[key]));
+  const total = pools.reduce((sum, key) => sum + vp[key], 0);
+  return {
+    label: "Shielded pools",
+    value: fmtNumber(vp.shielded, 0),
+    unit: "ZEC",
+    lines: [],
+    segments: total > 0 && pools.map((key) => ({
+      key,
+      share: vp[key] / total,
+      label: `${key[0].toUpperCase()}${key.slice(1)} ${fmtNumber(vp[key], 0)}`,
+    })),
+    metaKeys: ["info"],
+  };
+}
+
+function heightPanel({ status }) {
+  const observed = status.blockTime?.observed;
+  return {
+    label: "Block height",
+    value: fmtNumber(status.height, 0),
+    lines: [
+      `Mempool ${fmtNumber(status.mempoolSize, 0)} tx waiting`,
+      Number.isFinite(observed) ? `${fmtNumber(observed, 1)} s / block observed` : null,
+    ],
+    metaKeys: ["info", "mempool"],
+  };
+}
+
+function networkPanel({ status }) {
+  const network = status.network ?? {};
+  return {
+    label: "Network",
+    value: fmtHashrate(network.hashrate),
+    lines: [
+      `Difficulty ${fmtNumber(network.difficulty, 0)}`,
+      `Block interval ${fmtNumber(network.blockInterval, 1)} s`,
+      `Tx / block ${fmtNumber(network.txPerBlock, 1)}`,
+    ],
+    metaKeys: ["network"],
+  };
+}
+
+function mempoolPanel({ status, mempool }) {
+  const size = Number.isFinite(mempool?.size) ? mempool.size : status.mempoolSize;
+  const types = Object.entries(mempool?.types ?? {}).filter(([, count]) => count > 0);
+  const sampled = mempool?.sampled < mempool?.size ? ` (first ${fmtNumber(mempool.sampled, 0)} tx)` : "";
+  return {
+    label: "Mempool",
+    value: fmtNumber(size, 0),
+    unit: "tx waiting",
+    lines: mempool
+      ? [`${fmtBytes(mempool.bytes)} · ${fmtNumber(mempool.totalFees, 5)} ZEC in fees${sampled}`,
+        types.map(([type, count]) => `${type} ${count}`).join(" · ")]
+      : [],
+    metaKeys: ["mempool"],
+  };
+}
+
+function issuancePanel({ status }) {
+  const summary = issuanceSummary({
+    height: status.height,
+    at: status.meta?.info?.fetchedAt ?? Date.now(),
+    blockSeconds: status.blockTime?.observed,
+  });
+  const next = summary?.nextHalving;
+  const issuedPct = summary ? (summary.issued / MAX_SUPPLY_ZEC) * 100 : null;
+  return {
+    label: "Block subsidy",
+    value: fmtNumber(summary?.subsidy, 5),
+    unit: "ZEC / block",
+    lines: next
+      ? [`Next halving in ${fmtNumber(next.blocks, 0)} blocks`, `~${utcDate(next.eta)} at block ${fmtNumber(next.height, 0)}`]
+      : [],
+    bar: Number.isFinite(issuedPct) && { pct: issuedPct, label: `${fmtNumber(issuedPct, 2)}% issued` },
+    metaKeys: ["info"],
+  };
+}
+
+const PANELS = {
+  price: pricePanel,
+  pools: poolsPanel,
+  shieldedPools: shieldedPoolsPanel,
+  height: heightPanel,
+  network: networkPanel,
+  mempool: mempoolPanel,
+  issuance: issuancePanel,
+};
+
+// "all" is a grid of the cards that read best as small tiles
+const ALL_CARDS = ["price", "pools", "shieldedPools", "height", "network", "issuance"];
+
+export const IMAGE_CARDS = [...Object.keys(PANELS), "all"];
+
+/* ─── SVG ─── */
+function esc(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function utcDate(t) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+function utcStamp(t) {
+  return `${new Date(t).toISOString().slice(0, 16).replace("T", " ")} UTC`;
+}
+
+// Share Tech Mono advances 0.54em per glyph; letter-spacing adds to it
+const GLYPH_EM = 0.54;
+
+function fitFont(text, width, max, spacing = 0) {
+  return Math.min(max, width / (Math.max(String(text).length, 1) * (GLYPH_EM + spacing)));
+}
+
+function text(x, y, size, fill, content, extra = "") {
+  return `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" font-size="${size.toFixed(1)}" fill="${fill}"${extra}>${esc(content)}</text>`;
+}
+
+function sparkline(points, x, y, w, h, color) {
+  const valid = (points ?? []).filter(([t, v]) => Number.isFinite(t) && Number.isFinite(v));
+  if (valid.length < 2 || h < 8) return "";
+  const t0 = valid[0][0];
+  const tSpan = valid.at(-1)[0] - t0 || 1;
+  const values = valid.map(([, v]) => v);
+  const min = Math.min(...values);
+  const vSpan = Math.max(...values) - min || 1;
+  const coords = valid.map(([t, v]) =>
+    `${(x + ((t - t0) / tSpan) * w).toFixed(1)},${(y + h - ((v - min) / vSpan) * h).toFixed(1)}`
+  );
+  return `<polygon points="${x},${y + h} ${coords.join(" ")} ${x + w},${y + h}" fill="${color}" fill-opacity="0.12"/>`
+    + `<polyline points="${coords.join(" ")}" fill="none" stroke="${color}" stroke-width="${Math.max(1.5, h / 40).toFixed(1)}"/>`;
+}
+
+function renderPanel(panel, { x, y, w, h }, theme) {
+  const pad = Math.min(w, h) * 0.08;
+  const inner = w - 2 * pad;
+  const label = Math.min(h * 0.075, 30);
+  const line = Math.min(h * 0.06, 24);
+  const parts = [
+    `<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="18" fill="${theme.card}" stroke="${theme.border}"/>`,
+  ];
+  let cy = y + pad + label;
+
+  parts.push(text(x + pad, cy, label, theme.accent, panel.label.toUpperCase(), ' letter-spacing="0.12em"'));
+  if (Number.isFinite(panel.change)) {
+    const color = panel.change > 0 ? theme.good : panel.change < 0 ? theme.bad : theme.muted;
+    parts.push(text(x + w - pad, cy, label, color, fmtPercent(panel.change), ' text-anchor="end"'));
+  }
+  if (panel.stale) {
+    parts.push(text(x + w - pad, y + h - pad * 0.6, line * 0.8, theme.bad, "STALE", ' text-anchor="end" letter-spacing="0.08em"'));
+  }
+
+  // The unit is set at half size after the number, as on the dashboard
+  const valueEms = panel.value.length + (panel.unit ? (panel.unit.length + 1) * 0.5 : 0);
+  const value = Math.min(h * 0.2, inner / (valueEms * GLYPH_EM));
+  cy += value * 1.25;
+  parts.push(
+    `<text x="${(x + pad).toFixed(1)}" y="${cy.toFixed(1)}" font-size="${value.toFixed(1)}" fill="${theme.fg}">`
+    + esc(panel.value)
+    + (panel.unit
+      ? `<tspan dx="${(value * 0.5 * GLYPH_EM).toFixed(1)}" font-size="${(value * 0.5).toFixed(1)}" fill="${theme.muted}">${esc(panel.unit)}</tspan>`
+      : "")
+    + "</text>"
+  );
+
+  for (const content of panel.lines.filter(Boolean)) {
+    const size = Math.min(line, fitFont(content, inner, line));
+    cy += size * 1.5;
+    parts.push(text(x + pad, cy, size, theme.muted, content));
+  }
+
+  if (panel.bar) {
+    const barH = Math.max(6, h * 0.03);
+    cy += line * 1.5;
+    parts.push(text(x + pad, cy, line, theme.accent, panel.bar.label));
+    cy += line * 0.6;
+    const fill = Math.min(Math.max(panel.bar.pct, 0), 100) / 100;
+    parts.push(
+      `<rect x="${x + pad}" y="${cy.toFixed(1)}" width="${inner}" height="${barH}" rx="${barH / 2}" fill="${theme.track}"/>`,
+      `<rect x="${x + pad}" y="${cy.toFixed(1)}" width="${(inner * fill).toFixed(1)}" height="${barH}" rx="${barH / 2}" fill="${theme.accent}"/>`
+    );
+    cy += barH;
+  }
+
+  if (panel.segments) {
+    const barH = Math.max(8, h * 0.05);
+    cy += line;
+    let sx = x + pad;
+    for (const seg of panel.segments) {
+      parts.push(`<rect x="${sx.toFixed(1)}" y="${cy.toFixed(1)}" width="${(inner * seg.share).toFixed(1)}" height="${barH}" fill="${theme[seg.key]}"/>`);
+      sx += inner * seg.share;
+    }
+    cy += barH;
+    for (const seg of panel.segments) {
+      const size = Math.min(line, fitFont(seg.label, inner, line));
+      cy += size * 1.5;
+      parts.push(text(x + pad, cy, size, theme[seg.key], seg.label));
+    }
+  }
+
+  if (panel.spark) {
+    const top = cy + line;
+    parts.push(sparkline(panel.spark, x + pad, top, inner, y + h - pad - top, theme.accent));
+  }
+  return parts.join("");
+}
+
+function gridFor(count, size) {
+  const cols = size.width > size.height ? 3 : 2;
+  return { cols, rows: Math.ceil(count / cols) };
+}
+
+// data: { status, currency, series, mempool } as gathered by the server.
+// embedFont carries the font inside the SVG for viewers that don't have it.
+export function renderCardSvg(card, data, { theme = "dark", size = IMAGE_SIZES.og, embedFont = false } = {}) {
+  const t = IMAGE_THEMES[theme];
+  const { width, height } = size;
+  const s = width / 1200;
+  const margin = 36 * s;
+  const footer = 72 * s;
+  const ids = card === "all" ? ALL_CARDS : [card];
+  const panels = ids.map((id) => {
+    const panel = PANELS[id](data);
+    return { ...panel, stale: panel.metaKeys.some((key) => data.status.meta?.[key]?.stale) };
+  });
+
+  const { cols, rows } = gridFor(panels.length, size);
+  const gap = 20 * s;
+  const areaW = width - 2 * margin;
+  const areaH = height - margin - footer;
+  const cellW = panels.length > 1 ? (areaW - gap * (cols - 1)) / cols : areaW;
+  const cellH = panels.length > 1 ? (areaH - gap * (rows - 1)) / rows : areaH;
+  const body = panels.map((panel, i) => renderPanel(panel, {
+    x: margin + (panels.length > 1 ? (i % cols) * (cellW + gap) : 0),
+    y: margin + (panels.length > 1 ? Math.floor(i / cols) * (cellH + gap) : 0),
+    w: cellW,
+    h: cellH,
+  }, t));
+
+  const logoH = 48 * s;
+  const logoW = logoH * LOGO_ASPECT;
+  const logoX = width - margin - logoW;
+  const logoY = height - footer / 2 - logoH / 2;
+  const plate = t.logoPlate
+    ? `<rect x="${logoX - 10 * s}" y="${logoY - 6 * s}" width="${logoW + 20 * s}" height="${logoH + 12 * s}" rx="${8 * s}" fill="${t.logoPlate}"/>`
+    : "";
+  const watermark = fitFont(WATERMARK, width * 0.85, 72 * s, 0.12);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}, monospace">`
+    + (embedFont ? `<style>@font-face { font-family: "${FONT_FAMILY}"; src: url(${FONT_URI}); }</style>` : "")
+    + `<defs><radialGradient id="bg" cx="50%" cy="0%" r="100%"><stop offset="0" stop-color="${t.glow}"/><stop offset="0.55" stop-color="${t.bg}"/></radialGradient></defs>`
+    + `<rect width="${width}" height="${height}" fill="url(#bg)"/>`
+    + body.join("")
+    + text(width / 2, height / 2 + watermark / 3, watermark, t.watermark, WATERMARK.toUpperCase(), ' text-anchor="middle" letter-spacing="0.12em"')
+    + text(margin, height - footer / 2 + 8 * s, 22 * s, t.muted, `zecstats.info · ${utcStamp(data.status.timestamp ?? Date.now())}`)
+    + plate
+    + `<image x="${logoX}" y="${logoY}" width="${logoW}" height="${logoH}" opacity="${t.logoPlate ? 1 : 0.75}" href="${LOGO_URI}" xlink:href="${LOGO_URI}"/>`
+    + "</svg>";
+}
+
+export function svgToPng(svg) {
+  return new Resvg(svg, {
+    font: { fontFiles: [FONT_FILE], loadSystemFonts: false, defaultFontFamily: FONT_FAMILY },
+  }).render().asPng();
+}
@@ -0,0 +1,106 @@
+import { sanitizeNumber } from "./util.js";
+
+/* ─── ZIP 317 ─── */
+// conventional fee = marginal fee × max(grace actions, logical actions)
+export const MARGINAL_FEE_ZATS = 5_000;
+export const GRACE_ACTIONS = 2;
+
+// Fee paid as a multiple of the transaction's conventional fee
+export const FEE_BUCKETS = [
+  { key: "below", label: "< 1×", min: 0, max: 1 },
+  { key: "1x", label: "1×", min: 1, max: 2 },
+  { key: "2x", label: "2–5×", min: 2, max: 5 },
+  { key: "5x", label: "5–10×", min: 5, max: 10 },
+  { key: "10x", label: "≥ 10×", min: 10, max: Infinity },
+];
+
+export const TX_TYPES = ["transparent", "sapling", "orchard", "mixed", "unknown"];
+
+// Component counts of a decoded (getrawtransaction verbose) transaction
+function components(tx) {
+  return {
+    transparentIn: tx.vin?.length ?? 0,
+    transparentOut: tx.vout?.length ?? 0,
+    joinSplits: tx.vjoinsplit?.length ?? 0,
+    saplingSpends: tx.vShieldedSpend?.length ?? 0,
+    saplingOutputs: tx.vShieldedOutput?.length ?? 0,
+    orchardActions: tx.orchard?.actions?.length ?? 0,
+  };
+}
+
+// Transparent inputs and outputs are counted rather than sized, which matches
+// ZIP 317 for standard P2PKH spends
+export function logicalActions(c) {
+  return Math.max(c.transparentIn, c.transparentOut)
+    + 2 * c.joinSplits
+    + Math.max(c.saplingSpends, c.saplingOutputs)
+    + c.orchardActions;
+}
+
+export function conventionalFee(actions) {
+  return MARGINAL_FEE_ZATS * Math.max(GRACE_ACTIONS, actions);
+}
+
+// One pool only is that pool; anything touching several (shielding,
+// deshielding, Sapling↔Orchard) or Sprout is "mixed"
+export function txType(c) {
+  const pools = [
+    c.transparentIn + c.transparentOut > 0 && "transparent",
+    c.joinSplits > 0 && "sprout",
+    c.saplingSpends + c.saplingOutputs > 0 && "sapling",
+    c.orchardActions > 0 && "orchard",
+  ].filter(Boolean);
+  if (pools.length === 1 && pools[0] !== "sprout") return pools[0];
+  return pools.length ? "mixed" : "unknown";
+}
+
+export function feeBucket(ratio) {
+  if (!Number.isFinite(ratio)) return null;
+  return FEE_BUCKETS.find((b) => ratio >= b.min && ratio < b.max)?.key ?? null;
+}
+
+/* ─── summary ─── */
+// `pool` is what a mempool detail adapter resolves to:
+// { size, transactions: [{ txid, size, fee (ZEC), time, tx (decoded or null) }] }
+// Adapters only pass the first MEMPOOL_DETAIL_MAX_TX transactions, so bytes,
+// totalFees, types and feeBuckets cover `sampled` of the `size` waiting.
+export function summarizeMempool(pool) {
+  const transactions = (pool?.transactions ?? []).map((entry) => {
+    const c = entry.tx && typeof entry.tx === "object" ? components(entry.tx) : null;
+    const actions = c ? logicalActions(c) : null;
+    const feeZats = Number.isFinite(sanitizeNumber(entry.fee)) ? Math.round(entry.fee * 1e8) : null;
+    const conventional = Number.isFinite(actions) ? conventionalFee(actions) : null;
+    const feeRatio = Number.isFinite(feeZats) && conventional ? feeZats / conventional : null;
+    return {
+      txid: entry.txid ?? null,
+      size: sanitizeNumber(entry.size),
+      fee: Number.isFinite(feeZats) ? feeZats / 1e8 : null,
+      time: sanitizeNumber(entry.time),
+      type: c ? txType(c) : "unknown",
+      logicalActions: actions,
+      conventionalFee: Number.isFinite(conventional) ? conventional / 1e8 : null,
+      feeRatio,
+      feeBucket: feeBucket(feeRatio),
+    };
+  });
+
+  const sizes = transactions.map((t) => t.size).filter(Number.isFinite);
+  const paidZats = transactions.map((t) => t.fee).filter(Number.isFinite).map((f) => Math.round(f * 1e8));
+  return {
+    size: sanitizeNumber(pool?.size) ?? transactions.length,
+    sampled: transactions.length,
+    bytes: sizes.length ? sizes.reduce((sum, s) => sum + s, 0) : null,
+    totalFees: paidZats.length ? paidZats.reduce((sum, f) => sum + f, 0) / 1e8 : null,
+    types: Object.fromEntries(
+      TX_TYPES.map((type) => [type, transactions.filter((t) => t.type === type).length])
+    ),
+    feeBuckets: FEE_BUCKETS.map(({ key, label, min, max }) => ({
+      key,
+      label,
+      min,
+      max: Number.isFinite(max) ? max : null,
+      count: transactions.filter((t) => t.feeBucket === key).length,
+    })),
+    transactions,
+  };
+}
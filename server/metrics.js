@@ -0,0 +1,101 @@
+/* ─── Prometheus metrics ─── */
+// A small in-process registry for the text exposition format. Counters and
+// histograms are updated as things happen (upstream requests, cache reads);
+// gauges are computed by the caller at scrape time and passed to renderMetrics().
+const families = new Map();
+
+// Upstream calls take from a few ms (local node) to the 10 s request timeout
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function register(name, help, type, extra = {}) {
+  if (families.has(name)) return families.get(name);
+  const family = { name, help, type, series: new Map(), ...extra };
+  families.set(name, family);
+  return family;
+}
+
+export function counter(name, help) {
+  const family = register(name, help, "counter");
+  return {
+    inc(labels = {}, by = 1) {
+      const key = labelKey(labels);
+      const entry = family.series.get(key) ?? { labels, value: 0 };
+      entry.value += by;
+      family.series.set(key, entry);
+    },
+  };
+}
+
+export function histogram(name, help, buckets = DEFAULT_BUCKETS) {
+  const family = register(name, help, "histogram", { buckets });
+  return {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = family.series.get(key) ??
+        { labels, counts: family.buckets.map(() => 0), sum: 0, count: 0 };
+      family.buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      family.series.set(key, entry);
+    },
+  };
+}
+
+// A gauge family for renderMetrics(); samples with a non-finite value are
+// left out, so an unknown figure is absent rather than 0
+export function gauge(name, help, samples) {
+  return {
+    name,
+    help,
+    type: "gauge",
+    samples: samples.filter((s) => Number.isFinite(s.value)),
+  };
+}
+
+function renderFamily(family) {
+  const lines = [`# HELP ${family.name} ${family.help}`, `# TYPE ${family.name} ${family.type}`];
+  if (family.type === "histogram") {
+    for (const { labels, counts, sum, count } of family.series.values()) {
+      family.buckets.forEach((le, i) => {
+        lines.push(`${family.name}_bucket${formatLabels({ ...labels, le: formatValue(le) })} ${counts[i]}`);
+      });
+      lines.push(`${family.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${family.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${family.name}_count${formatLabels(labels)} ${count}`);
+    }
+  } else {
+    const samples = family.samples ?? [...family.series.values()];
+    for (const { labels = {}, value } of samples) {
+      lines.push(`${family.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export function renderMetrics(gauges = []) {
+  return `${[...gauges, ...families.values()].map(renderFamily).join("\n")}\n`;
+}
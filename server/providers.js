@@ -0,0 +1,458 @@
+import { getJSON } from "./http.js";
+import { mapConcurrent, sanitizeNumber } from "./util.js";
+import { isMethodNotFound } from "./rpc.js";
+
+/* ─── provider chain with failover ─── */
+// Tries adapters in configured order. A failing adapter is put on an
+// exponential cooldown and moved to the back of the line until it recovers,
+// so a dead upstream doesn't add its timeout to every request. An error an
+// adapter marks `unsupported` concerns the argument (a currency or address
+// that provider doesn't know), not the provider: the chain moves on without
+// touching its health, so one bad argument can't bench it for all the others.
+export function makeProviderChain(metric, adapters, {
+  cooldownMs = 30_000,
+  maxCooldownMs = 10 * 60_000,
+} = {}) {
+  if (!adapters.length) throw new Error(`${metric}: no providers configured`);
+
+  const health = new Map(adapters.map((a) => [a.name, {
+    name: a.name,
+    status: "unknown",
+    lastSuccessAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    consecutiveFailures: 0,
+    cooldownUntil: 0,
+  }]));
+
+  function markSuccess(name) {
+    const h = health.get(name);
+    h.status = "ok";
+    h.lastSuccessAt = Date.now();
+    h.consecutiveFailures = 0;
+    h.cooldownUntil = 0;
+  }
+
+  function markFailure(name, err) {
+    const h = health.get(name);
+    h.status = "failing";
+    h.lastErrorAt = Date.now();
+    h.lastError = err.message;
+    h.consecutiveFailures += 1;
+    h.cooldownUntil = h.lastErrorAt +
+      Math.min(cooldownMs * 2 ** (h.consecutiveFailures - 1), maxCooldownMs);
+  }
+
+  async function fetch(...args) {
+    const now = Date.now();
+    const ready = adapters.filter((a) => health.get(a.name).cooldownUntil <= now);
+    const cooling = adapters.filter((a) => health.get(a.name).cooldownUntil > now);
+    const errors = [];
+
+    for (const adapter of [...ready, ...cooling]) {
+      try {
+        const data = await adapter.fetch(...args);
+        markSuccess(adapter.name);
+        return { data, source: adapter.name };
+      } catch (err) {
+        if (!err.unsupported) markFailure(adapter.name, err);
+        errors.push(`${adapter.name}: ${err.message}`);
+      }
+    }
+    throw new Error(`${metric}: all providers failed (${errors.join("; ")})`);
+  }
+
+  return {
+    metric,
+    fetch,
+    health: () => adapters.map((a) => ({ ...health.get(a.name) })),
+  };
+}
+
+function unsupported(message) {
+  const err = new Error(message);
+  err.unsupported = true;
+  return err;
+}
+
+// Upstreams answer 400/404/422 for a currency or address they reject
+const ARGUMENT_STATUSES = new Set([400, 404, 422]);
+
+function rethrowArgumentError(err) {
+  if (ARGUMENT_STATUSES.has(err.response?.status)) err.unsupported = true;
+  throw err;
+}
+
+// Picks adapters by name in the given order, e.g. "coinpaprika,coingecko"
+export function selectProviders(metric, available, order) {
+  const names = String(order ?? "")
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean);
+  const selected = [];
+  for (const name of names.length ? names : Object.keys(available)) {
+    if (available[name]) selected.push(available[name]);
+    else console.warn(`${metric}: unknown provider "${name}" ignored`);
+  }
+  return selected;
+}
+
+/* ─── price adapters ─── */
+// Price adapters take a CoinGecko-style vs_currency ("usd", "eur", "btc", …)
+// and resolve to one entry shaped like a CoinGecko /coins/markets row, which
+// is what the status route already parses.
+const COINGECKO_MARKETS_URL =
+  "https://api.coingecko.com/api/v3/coins/markets?ids=zcash&price_change_percentage=24h";
+
+export function coingeckoPrice() {
+  return {
+    name: "coingecko",
+    async fetch(vs) {
+      const rows = await getJSON(`${COINGECKO_MARKETS_URL}&vs_currency=${encodeURIComponent(vs)}`)
+        .catch(rethrowArgumentError);
+      if (!Array.isArray(rows) || !rows.length) throw new Error("coingecko: empty markets response");
+      return rows[0];
+    },
+  };
+}
+
+const COINPAPRIKA_TICKER_URL = "https://api.coinpaprika.com/v1/tickers/zec-zcash";
+
+export function coinpaprikaPrice() {
+  return {
+    name: "coinpaprika",
+    async fetch(vs) {
+      const quote = vs.toUpperCase();
+      const ticker = await getJSON(`${COINPAPRIKA_TICKER_URL}?quotes=${encodeURIComponent(quote)}`)
+        .catch(rethrowArgumentError);
+      const q = ticker?.quotes?.[quote];
+      const price = sanitizeNumber(q?.price);
+      if (!Number.isFinite(price)) throw unsupported(`coinpaprika: no ${quote} quote`);
+
+      const marketCap = sanitizeNumber(q.market_cap);
+      const marketCapPct = sanitizeNumber(q.market_cap_change_24h);
+      const marketCapChange = Number.isFinite(marketCap) && Number.isFinite(marketCapPct)
+        ? marketCap - marketCap / (1 + marketCapPct / 100)
+        : null;
+      return {
+        current_price: price,
+        price_change_percentage_24h: sanitizeNumber(q.percent_change_24h),
+        low_24h: null,
+        high_24h: null,
+        market_cap: marketCap,
+        market_cap_change_percentage_24h: marketCapPct,
+        market_cap_change_24h: marketCapChange,
+        circulating_supply: sanitizeNumber(ticker.circulating_supply),
+      };
+    },
+  };
+}
+
+/* ─── blockchain info adapters ─── */
+// Resolve to getblockchaininfo-shaped objects ({ blocks, valuePools: [...] }).
+const ZCASHEXPLORER_INFO_URL = "https://mainnet.zcashexplorer.app/api/v1/blockchain-info";
+const BLOCKCHAIR_STATS_URL = "https://api.blockchair.com/zcash/stats";
+
+export function zcashexplorerInfo() {
+  return {
+    name: "zcashexplorer",
+    fetch: () => getJSON(ZCASHEXPLORER_INFO_URL),
+  };
+}
+
+// zcashd and zebrad both answer getblockchaininfo in the shape we already parse
+export function rpcInfo(client) {
+  return {
+    name: "rpc",
+    fetch: () => client.call("getblockchaininfo"),
+  };
+}
+
+// Height only; Blockchair doesn't publish value pools, so those stay null
+export function blockchairInfo() {
+  return {
+    name: "blockchair",
+    async fetch() {
+      const stats = await getJSON(BLOCKCHAIR_STATS_URL);
+      const blocks = sanitizeNumber(stats?.data?.best_block_height);
+      if (!Number.isFinite(blocks)) throw new Error("blockchair: no block height");
+      return { blocks, difficulty: sanitizeNumber(stats.data.difficulty), valuePools: [] };
+    },
+  };
+}
+
+/* ─── mempool adapters ─── */
+// Resolve to either a transaction array or an object carrying `size`.
+const ZCASHMETRO_MEMPOOL_URL = "https://zcashmetro.io:3000/mempool";
+
+export function zcashmetroMempool({ httpsAgent } = {}) {
+  return {
+    name: "zcashmetro",
+    fetch: () => getJSON(ZCASHMETRO_MEMPOOL_URL, { httpsAgent, timeout: 6_000, retries: 0 }),
+  };
+}
+
+export function blockchairMempool() {
+  return {
+    name: "blockchair",
+    async fetch() {
+      const stats = await getJSON(BLOCKCHAIR_STATS_URL);
+      const size = sanitizeNumber(stats?.data?.mempool_transactions);
+      if (!Number.isFinite(size)) throw new Error("blockchair: no mempool count");
+      return { size };
+    },
+  };
+}
+
+// getmempoolinfo gives size and bytes; older zebrad only has getrawmempool
+export function rpcMempool(client) {
+  return {
+    name: "rpc",
+    async fetch() {
+      try {
+        const info = await client.call("getmempoolinfo");
+        return { size: sanitizeNumber(info?.size), bytes: sanitizeNumber(info?.bytes) };
+      } catch (err) {
+        if (!isMethodNotFound(err)) throw err;
+        return client.call("getrawmempool");
+      }
+    },
+  };
+}
+
+/* ─── mempool detail adapters ─── */
+// Resolve to { size, transactions: [{ txid, size, fee, time, tx }] } where fee
+// is in ZEC and tx is the decoded transaction (null when unavailable).
+// getrawmempool verbose gives size and fee; getrawtransaction gives the pools
+// used. Only the first `maxTx` transactions are decoded, `concurrency` at a
+// time so a full mempool doesn't flood the node.
+export function rpcMempoolDetail(client, { maxTx = 500, concurrency = 8 } = {}) {
+  async function rawMempool() {
+    try {
+      return await client.call("getrawmempool", [true]);
+    } catch (err) {
+      if (err.code === undefined) throw err;
+      return client.call("getrawmempool");
+    }
+  }
+
+  return {
+    name: "rpc",
+    async fetch() {
+      const pool = await rawMempool();
+      const entries = Array.isArray(pool)
+        ? pool.map((txid) => [txid, {}])
+        : Object.entries(pool ?? {});
+      const sampled = entries.slice(0, maxTx);
+      // a transaction can be mined between the two calls
+      const decoded = await mapConcurrent(
+        sampled,
+        concurrency,
+        ([txid]) => client.call("getrawtransaction", [txid, 1]).catch(() => null)
+      );
+      return {
+        size: entries.length,
+        transactions: sampled.map(([txid, entry], i) => ({
+          txid,
+          size: sanitizeNumber(entry.size ?? decoded[i]?.size),
+          fee: sanitizeNumber(entry.fee),
+          time: sanitizeNumber(entry.time),
+          tx: decoded[i],
+        })),
+      };
+    },
+  };
+}
+
+// zcashmetro serves the mempool as an array of decoded transactions
+export function zcashmetroMempoolDetail({ httpsAgent, maxTx = 500 } = {}) {
+  const upstream = zcashmetroMempool({ httpsAgent });
+  return {
+    name: "zcashmetro",
+    async fetch() {
+      const txs = await upstream.fetch();
+      if (!Array.isArray(txs)) throw new Error("zcashmetro: mempool is not a list");
+      return {
+        size: txs.length,
+        transactions: txs.slice(0, maxTx).map((tx) => (typeof tx === "object" && tx
+          ? {
+            txid: tx.txid ?? null,
+            size: sanitizeNumber(tx.size),
+            fee: sanitizeNumber(tx.fee),
+            time: sanitizeNumber(tx.time),
+            tx,
+          }
+          : { txid: String(tx), size: null, fee: null, time: null, tx: null })),
+      };
+    },
+  };
+}
+
+/* ─── network activity adapters ─── */
+// Resolve to { difficulty, hashrate (Sol/s), blockInterval (seconds),
+// txPerBlock, shieldedTxPerBlock, transparentTxPerBlock, blocksSampled }.
+// Coinbase transactions aren't counted; whatever a source can't tell is null.
+function isCoinbase(tx) {
+  return Boolean(tx?.vin?.[0]?.coinbase);
+}
+
+function isShieldedTx(tx) {
+  return Boolean(
+    tx?.vjoinsplit?.length ||
+    tx?.vShieldedSpend?.length ||
+    tx?.vShieldedOutput?.length ||
+    tx?.orchard?.actions?.length
+  );
+}
+
+// zcashd answers an unsupported getblock verbosity with RPC_INVALID_PARAMETER
+// (-8, also used for "block height out of range"), zebrad with JSON-RPC
+// invalid params (-32602)
+function rejectsVerbosity(err) {
+  return err.code === -32602 || (err.code === -8 && /verbosity/i.test(err.message));
+}
+
+// Reads the last `blocks` blocks. getblock verbosity 2 carries the decoded
+// transactions needed for the shielded split; a block the node won't decode
+// that way is fetched again as a txid list.
+export function rpcNetwork(client, { blocks = 20 } = {}) {
+  async function hashrate() {
+    try {
+      return sanitizeNumber(await client.call("getnetworksolps", [blocks]));
+    } catch (err) {
+      if (!isMethodNotFound(err)) throw err;
+      return sanitizeNumber(await client.call("getnetworkhashps", [blocks]));
+    }
+  }
+
+  async function block(height) {
+    try {
+      return await client.call("getblock", [String(height), 2]);
+    } catch (err) {
+      if (!rejectsVerbosity(err)) throw err;
+      return client.call("getblock", [String(height), 1]);
+    }
+  }
+
+  return {
+    name: "rpc",
+    async fetch() {
+      const info = await client.call("getblockchaininfo");
+      const tip = sanitizeNumber(info?.blocks);
+      if (!Number.isFinite(tip)) throw new Error("rpc: no block height");
+      const heights = Array.from({ length: Math.min(blocks, tip + 1) }, (_, i) => tip - i);
+      const [solps, ...sampled] = await Promise.all([hashrate(), ...heights.map(block)]);
+
+      const newest = sanitizeNumber(sampled[0]?.time);
+      const oldest = sanitizeNumber(sampled.at(-1)?.time);
+      const txs = sampled.flatMap((b) => b?.tx ?? []);
+      const detailed = txs.every((tx) => typeof tx === "object");
+      const userTxs = detailed ? txs.filter((tx) => !isCoinbase(tx)) : null;
+      // txid lists still include one coinbase per block
+      const txCount = detailed ? userTxs.length : txs.length - sampled.length;
+      const shielded = detailed ? userTxs.filter(isShieldedTx).length : null;
+
+      return {
+        difficulty: sanitizeNumber(info.difficulty),
+        hashrate: solps,
+        blockInterval: sampled.length > 1 && Number.isFinite(newest) && Number.isFinite(oldest)
+          ? (newest - oldest) / (sampled.length - 1)
+          : null,
+        txPerBlock: txCount / sampled.length,
+        shieldedTxPerBlock: detailed ? shielded / sampled.length : null,
+        transparentTxPerBlock: detailed ? (txCount - shielded) / sampled.length : null,
+        blocksSampled: sampled.length,
+      };
+    },
+  };
+}
+
+// 24h aggregates; Blockchair doesn't split shielded from transparent
+export function blockchairNetwork() {
+  return {
+    name: "blockchair",
+    async fetch() {
+      const stats = (await getJSON(BLOCKCHAIR_STATS_URL))?.data;
+      const blocks24h = sanitizeNumber(stats?.blocks_24h);
+      const txs24h = sanitizeNumber(stats?.transactions_24h);
+      if (!(blocks24h > 0)) throw new Error("blockchair: no 24h block count");
+      const txPerBlock = Number.isFinite(txs24h) ? Math.max(txs24h - blocks24h, 0) / blocks24h : null;
+      return {
+        difficulty: sanitizeNumber(stats.difficulty),
+        hashrate: sanitizeNumber(stats.hashrate_24h),
+        blockInterval: (24 * 60 * 60) / blocks24h,
+        txPerBlock,
+        shieldedTxPerBlock: null,
+        transparentTxPerBlock: null,
+        blocksSampled: blocks24h,
+      };
+    },
+  };
+}
+
+// Difficulty only
+export function zcashexplorerNetwork() {
+  return {
+    name: "zcashexplorer",
+    async fetch() {
+      const info = await getJSON(ZCASHEXPLORER_INFO_URL);
+      const difficulty = sanitizeNumber(info?.difficulty);
+      if (!Number.isFinite(difficulty)) throw new Error("zcashexplorer: no difficulty");
+      return {
+        difficulty,
+        hashrate: null,
+        blockInterval: null,
+        txPerBlock: null,
+        shieldedTxPerBlock: null,
+        transparentTxPerBlock: null,
+        blocksSampled: null,
+      };
+    },
+  };
+}
+
+/* ─── address balance adapters ─── */
+// Resolve to { balance } in zatoshis for a transparent address.
+export function threexplBalance({ token }) {
+  return {
+    name: "3xpl",
+    async fetch(address) {
+      const raw = await getJSON(`https://api.3xpl.com/zcash/address/${address}?data=balances`, {
+        headers: { Authorization: `Bearer ${token}` },
+      }).catch(rethrowArgumentError);
+      const balance = sanitizeNumber(raw?.data?.balances?.["zcash-main"]?.zcash?.balance);
+      if (!Number.isFinite(balance)) throw new Error("3xpl: no balance in response");
+      return { balance };
+    },
+  };
+}
+
+// zebrad, and zcashd started with -insightexplorer, index transparent balances
+export function rpcBalance(client) {
+  return {
+    name: "rpc",
+    async fetch(address) {
+      const raw = await client.call("getaddressbalance", [{ addresses: [address] }]).catch((err) => {
+        // RPC_INVALID_ADDRESS_OR_KEY
+        if (err.code === -5) err.unsupported = true;
+        throw err;
+      });
+      const balance = sanitizeNumber(raw?.balance);
+      if (!Number.isFinite(balance)) throw new Error("rpc: no balance in response");
+      return { balance };
+    },
+  };
+}
+
+export function blockchairBalance() {
+  return {
+    name: "blockchair",
+    async fetch(address) {
+      const raw = await getJSON(`https://api.blockchair.com/zcash/dashboards/address/${address}`)
+        .catch(rethrowArgumentError);
+      const balance = sanitizeNumber(raw?.data?.[address]?.address?.balance);
+      if (!Number.isFinite(balance)) throw new Error("blockchair: no balance in response");
+      return { balance };
+    },
+  };
+}
@@ -0,0 +1,59 @@
+import fs from "fs/promises";
+import { postJSON } from "./http.js";
+import { registerSecret } from "./secrets.js";
+
+const METHOD_NOT_FOUND = -32601;
+
+/* ─── zcashd / zebrad JSON-RPC client ─── */
+// Credentials come either from user/password or from the node's cookie file
+// (`__cookie__:<token>`), which is re-read on auth failure since nodes rotate
+// it on restart.
+export function makeRpcClient({ url, user, password, cookieFile, timeout }) {
+  let cookieAuth = null;
+  // the Basic header value, in case a request object ends up inspected in a log
+  if (user) registerSecret(Buffer.from(`${user}:${password ?? ""}`).toString("base64"));
+  let nextId = 1;
+
+  async function readCookie() {
+    const raw = (await fs.readFile(cookieFile, "utf8")).trim();
+    const sep = raw.indexOf(":");
+    if (sep < 0) throw new Error(`rpc cookie file ${cookieFile} is malformed`);
+    const credentials = { username: raw.slice(0, sep), password: raw.slice(sep + 1) };
+    registerSecret(credentials.password);
+    registerSecret(Buffer.from(raw).toString("base64"));
+    return credentials;
+  }
+
+  async function auth() {
+    if (user) return { username: user, password: password ?? "" };
+    if (!cookieFile) return undefined;
+    if (!cookieAuth) cookieAuth = await readCookie();
+    return cookieAuth;
+  }
+
+  async function call(method, params = []) {
+    const body = { jsonrpc: "1.0", id: nextId++, method, params };
+    let res;
+    try {
+      // RPC errors come back as HTTP 500 with a JSON body, so no blind retries here
+      res = await postJSON(url, body, { auth: await auth(), timeout, retries: 0 });
+    } catch (err) {
+      if (err.response?.status === 401 && cookieFile) cookieAuth = null;
+      if (err.response?.data?.error) res = err.response.data;
+      else throw new Error(`rpc ${method} -> ${err.message}`);
+    }
+
+    if (res?.error) {
+      const rpcErr = new Error(`rpc ${method} -> ${res.error.message ?? "error"} (${res.error.code})`);
+      rpcErr.code = res.error.code;
+      throw rpcErr;
+    }
+    return res?.result;
+  }
+
+  return { call, url };
+}
+
+export function isMethodNotFound(err) {
+  return err?.code === METHOD_NOT_FOUND;
+}
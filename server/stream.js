@@ -0,0 +1,43 @@
+/* ─── Server-Sent Events hub ─── */
+export function makeStreamHub({ heartbeatMs = 25_000, onClientsChange } = {}) {
+  const clients = new Set();
+
+  function write(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // Callers usually build the initial snapshot first; a client that hung up
+  // meanwhile already fired "close", so registering it would leak its heartbeat
+  function attach(req, res, initialEvents = []) {
+    if (req.destroyed || res.destroyed || res.writableEnded) return false;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      // stop nginx-style proxies from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+    res.write("retry: 5000\n\n");
+
+    for (const [event, data] of initialEvents) write(res, event, data);
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), heartbeatMs);
+    clients.add(res);
+    onClientsChange?.(clients.size);
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+      onClientsChange?.(clients.size);
+    });
+    return true;
+  }
+
+  function broadcast(event, data) {
+    for (const res of clients) write(res, event, data);
+  }
+
+  return { attach, broadcast, size: () => clients.size };
+}
@@ -0,0 +1,27 @@
+export function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Like Promise.all(items.map(fn)) with at most `limit` calls in flight
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+export function sanitizeNumber(value) {
+  if (value === null || value === undefined) return null;
+  const num = typeof value === "number" ? value : Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+export function isTransparentAddress(value) {
+  return /^t[13][1-9A-HJ-NP-Za-km-z]{33}$/.test(String(value ?? ""));
+}
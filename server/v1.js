@@ -0,0 +1,207 @@
+import crypto from "crypto";
+import express from "express";
+
+/* ─── public data API (/api/v1) ─── */
+// Every endpoint answers with a table: JSON { rows, updatedAt, stale } or the
+// same rows as CSV. Endpoints are declared once and the OpenAPI document is
+// generated from those declarations:
+//   { path, summary, description?, params?: [{ name, description, schema, example? }],
+//     columns: [{ name, type, description? }], maxAgeMs,
+//     load(req, res) -> { rows, meta: [{ fetchedAt, stale }], columns? } | null once it answered itself }
+export const V1_FORMATS = { json: "application/json", csv: "text/csv" };
+
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.map((c) => csvField(c.name)).join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvField(row[c.name])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// ?format= wins over the Accept header; browsers and curl get JSON
+function pickFormat(req) {
+  if (req.query.format !== undefined) {
+    const format = String(req.query.format);
+    return V1_FORMATS[format] ? format : null;
+  }
+  return req.accepts(["json", "csv"]) || "json";
+}
+
+// The newest data a table was built from, and whether any part of it is stale
+function summarizeMeta(meta = []) {
+  const times = meta.map((m) => m?.fetchedAt).filter(Number.isFinite);
+  return {
+    updatedAt: times.length ? Math.max(...times) : null,
+    stale: meta.some((m) => !m || m.stale),
+  };
+}
+
+// Bodies only change when the data does (no per-request timestamps), so the
+// ETag lets polling clients get a bodiless 304 between cache refreshes
+function send(req, res, endpoint, format, result) {
+  const columns = result.columns ?? endpoint.columns;
+  const { updatedAt, stale } = summarizeMeta(result.meta);
+  const body = format === "csv"
+    ? toCsv(columns, result.rows)
+    : JSON.stringify({ rows: result.rows, updatedAt, stale });
+
+  res.set({
+    "Cache-Control": `public, max-age=${Math.round(endpoint.maxAgeMs / 1000)}`,
+    ETag: `"${crypto.createHash("sha1").update(body).digest("base64url")}"`,
+    Vary: "Accept",
+  });
+  if (updatedAt !== null) res.set("Last-Modified", new Date(updatedAt).toUTCString());
+  if (req.fresh) return res.status(304).end();
+  res.type(`${V1_FORMATS[format]}; charset=utf-8`).send(body);
+}
+
+/* ─── rate limiting ─── */
+// Fixed window per client IP; the whole table is dropped when the window
+// rolls over, so memory stays bounded by one window's clients
+export function makeRateLimiter({ limit, windowMs }) {
+  let windowStart = 0;
+  const counts = new Map();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const start = now - (now % windowMs);
+    if (start !== windowStart) {
+      windowStart = start;
+      counts.clear();
+    }
+    const count = (counts.get(req.ip) ?? 0) + 1;
+    counts.set(req.ip, count);
+
+    const resetS = Math.ceil((start + windowMs - now) / 1000);
+    res.set({
+      "RateLimit-Limit": String(limit),
+      "RateLimit-Remaining": String(Math.max(limit - count, 0)),
+      "RateLimit-Reset": String(resetS),
+    });
+    if (count > limit) {
+      res.set("Retry-After", String(resetS));
+      return res.status(429).json({ error: "rate_limited", retryAfter: resetS });
+    }
+    next();
+  };
+}
+
+/* ─── OpenAPI ─── */
+const ERROR_SCHEMA = {
+  type: "object",
+  properties: { error: { type: "string" } },
+  required: ["error"],
+};
+
+function rowSchema(columns) {
+  return {
+    type: "object",
+    properties: Object.fromEntries(columns.map((c) => [c.name, {
+      type: c.required ? c.type : [c.type, "null"],
+      ...(c.description ? { description: c.description } : {}),
+    }])),
+  };
+}
+
+function operation(endpoint) {
+  const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+  });
+  return {
+    summary: endpoint.summary,
+    ...(endpoint.description ? { description: endpoint.description } : {}),
+    parameters: [
+      ...(endpoint.params ?? []).map(({ name, description, schema, example }) => ({
+        name,
+        in: "query",
+        description,
+        schema,
+        ...(example !== undefined ? { example } : {}),
+      })),
+      { $ref: "#/components/parameters/format" },
+    ],
+    responses: {
+      200: {
+        description: `Columns: ${endpoint.columns.map((c) => c.name).join(", ")}`,
+        headers: {
+          ETag: { schema: { type: "string" } },
+          "Cache-Control": { schema: { type: "string" } },
+        },
+        content: {
+          "application/json": {
+            schema: {
+              type: "object",
+              properties: {
+                rows: { type: "array", items: rowSchema(endpoint.columns) },
+                updatedAt: { type: ["integer", "null"], description: "Newest upstream fetch, ms since epoch" },
+                stale: { type: "boolean" },
+              },
+              required: ["rows", "updatedAt", "stale"],
+            },
+          },
+          "text/csv": { schema: { type: "string" } },
+        },
+      },
+      304: { description: "Not modified (If-None-Match matched the ETag)" },
+      400: errorResponse("Invalid parameter"),
+      429: errorResponse("Rate limit exceeded; see Retry-After"),
+      500: errorResponse("Upstream failure"),
+    },
+  };
+}
+
+export function openApiDocument(endpoints, { basePath, title, version, description }) {
+  return {
+    openapi: "3.1.0",
+    info: { title, version, description },
+    servers: [{ url: basePath }],
+    paths: Object.fromEntries(endpoints.map((e) => [e.path, { get: operation(e) }])),
+    components: {
+      parameters: {
+        format: {
+          name: "format",
+          in: "query",
+          description: "Response format; without it the Accept header decides (default json)",
+          schema: { type: "string", enum: Object.keys(V1_FORMATS) },
+        },
+      },
+      schemas: { Error: ERROR_SCHEMA },
+    },
+  };
+}
+
+/* ─── router ─── */
+export function makeV1Router(endpoints, { rateLimit, openApi }) {
+  const router = express.Router();
+  router.use(makeRateLimiter(rateLimit));
+
+  const spec = JSON.stringify(openApiDocument(endpoints, openApi));
+  router.get("/openapi.json", (req, res) => {
+    res.set("Cache-Control", "public, max-age=3600");
+    res.type("application/json").send(spec);
+  });
+
+  for (const endpoint of endpoints) {
+    router.get(endpoint.path, async (req, res) => {
+      const format = pickFormat(req);
+      if (!format) {
+        return res.status(400).json({ error: "invalid_format", formats: Object.keys(V1_FORMATS) });
+      }
+      try {
+        const result = await endpoint.load(req, res);
+        if (result) send(req, res, endpoint, format, result);
+      } catch (err) {
+        console.error(`v1 ${endpoint.path} error:`, err);
+        if (!res.headersSent) res.status(500).json({ error: "upstream_failed" });
+      }
+    });
+  }
+
+  router.use((_req, res) => res.status(404).json({ error: "not_found" }));
+  return router;
+}
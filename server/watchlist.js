@@ -0,0 +1,127 @@
+import fs from "fs/promises";
+import path from "path";
+import { isTransparentAddress } from "./util.js";
+
+/* ─── helpers ─── */
+// config.json "watchlist": { thresholdZec, addresses: [{ id?, label, address, thresholdZec? }] }
+// Bad entries are dropped with a warning rather than stopping the server
+export function parseWatchlist(config = {}, defaultThresholdZec = 100) {
+  const thresholdZec = Number.isFinite(config.thresholdZec) ? config.thresholdZec : defaultThresholdZec;
+  const seen = new Set();
+  const entries = [];
+  for (const entry of config.addresses ?? []) {
+    const address = String(entry?.address ?? "");
+    if (!isTransparentAddress(address)) {
+      console.warn(`watchlist: "${address}" ignored (not a transparent address)`);
+      continue;
+    }
+    if (seen.has(address)) continue;
+    seen.add(address);
+    entries.push({
+      id: String(entry.id ?? address),
+      label: entry.label ?? address,
+      address,
+      thresholdZec: Number.isFinite(entry.thresholdZec) ? entry.thresholdZec : thresholdZec,
+    });
+  }
+  return { thresholdZec, entries };
+}
+
+/* ─── balance tracker ─── */
+// Remembers each address's balance (balances.json) and appends a line to
+// events.jsonl whenever it has moved by at least its threshold since the last
+// event, so slow drips add up too. The first balance seen is only a baseline.
+// events.jsonl is rewritten with just the kept events on load and whenever it
+// has grown to twice `maxEvents` lines.
+export function makeWatchlist({ dir, entries, maxEvents = 200 }) {
+  const byAddress = new Map(entries.map((e) => [e.address, e]));
+  const state = {
+    balances: {},
+    events: [],
+    fileLines: 0,
+    writeChain: Promise.resolve(),
+    ready: null,
+  };
+  const balancesFile = path.join(dir, "balances.json");
+  const eventsFile = path.join(dir, "events.jsonl");
+
+  async function init() {
+    await fs.mkdir(dir, { recursive: true });
+    try {
+      state.balances = JSON.parse(await fs.readFile(balancesFile, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn("watchlist balances unreadable:", err.message);
+    }
+    try {
+      const raw = await fs.readFile(eventsFile, "utf8");
+      for (const line of raw.split("\n")) {
+        if (!line.trim()) continue;
+        state.fileLines += 1;
+        try {
+          state.events.push(JSON.parse(line));
+        } catch {
+          // a torn last line after a crash is expected; skip it
+        }
+      }
+      state.events = state.events.slice(-maxEvents);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    if (state.fileLines > state.events.length) compactEvents();
+  }
+
+  function ready() {
+    if (!state.ready) state.ready = init();
+    return state.ready;
+  }
+
+  function write(fn) {
+    state.writeChain = state.writeChain
+      .then(fn)
+      .catch((err) => console.warn("watchlist write failed:", err.message));
+  }
+
+  function compactEvents() {
+    const lines = state.events.map((e) => `${JSON.stringify(e)}\n`).join("");
+    state.fileLines = state.events.length;
+    const tmp = `${eventsFile}.tmp`;
+    write(async () => {
+      await fs.writeFile(tmp, lines);
+      await fs.rename(tmp, eventsFile);
+    });
+  }
+
+  async function observe(address, zec, t = Date.now()) {
+    await ready();
+    const entry = byAddress.get(address);
+    if (!entry || !Number.isFinite(zec)) return null;
+
+    const known = state.balances[address];
+    if (known?.zec === zec) return null;
+    const previous = known?.baseline ?? zec;
+    const delta = zec - previous;
+    const crossed = Math.abs(delta) >= entry.thresholdZec;
+    state.balances[address] = { zec, t, baseline: crossed ? zec : previous };
+    const balances = JSON.stringify(state.balances);
+    write(() => fs.writeFile(balancesFile, balances));
+    if (!crossed) return null;
+
+    const event = { t, id: entry.id, label: entry.label, address, previous, balance: zec, delta };
+    state.events = [...state.events, event].slice(-maxEvents);
+    write(() => fs.appendFile(eventsFile, `${JSON.stringify(event)}\n`));
+    state.fileLines += 1;
+    if (state.fileLines >= 2 * maxEvents) compactEvents();
+    return event;
+  }
+
+  // Newest first
+  async function events({ since = 0, limit = 50, address } = {}) {
+    await ready();
+    return state.events
+      .filter((e) => e.t >= since && (!address || e.address === address))
+      .slice(-limit)
+      .reverse();
+  }
+
+  return { ready, observe, events, entries };
+}
@@ -0,0 +1,101 @@
+// Display currencies and the locale whose symbol placement and separators they use
+export const CURRENCIES = [
+  { code: "usd", locale: "en-US" },
+  { code: "eur", locale: "de-DE" },
+  { code: "brl", locale: "pt-BR" },
+  { code: "gbp", locale: "en-GB" },
+  { code: "chf", locale: "de-CH" },
+  { code: "jpy", locale: "ja-JP" },
+  { code: "cad", locale: "en-CA" },
+  { code: "aud", locale: "en-AU" },
+];
+
+export function currencyLocale(currency) {
+  return CURRENCIES.find((c) => c.code === currency)?.locale;
+}
+
+// The dashboard sets this to the UI language's locale so every number and date
+// on a screen reads the same way; unset (the API server), numbers use the
+// runtime default and fiat amounts their currency's own locale
+let formatLocale;
+
+export function setFormatLocale(locale) {
+  formatLocale = locale;
+}
+
+export function fmtNumber(x, digits = 4) {
+  if (!Number.isFinite(x)) return "--";
+  return new Intl.NumberFormat(formatLocale, {
+    maximumFractionDigits: digits,
+  }).format(x);
+}
+
+export function fmtFiat(x, currency = "usd") {
+  if (!Number.isFinite(x)) return "--";
+  const code = currency.toUpperCase();
+  const opts =
+    Math.abs(x) >= 1_000_000
+      ? { style: "currency", currency: code, maximumFractionDigits: 0 }
+      : { style: "currency", currency: code, maximumFractionDigits: 2 };
+  return new Intl.NumberFormat(formatLocale ?? currencyLocale(currency), opts).format(x);
+}
+
+export function fmtPercent(x, digits = 2) {
+  if (!Number.isFinite(x)) return "--%";
+  const abs = new Intl.NumberFormat(formatLocale, {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(Math.abs(x));
+  return `${x > 0 ? "+" : x < 0 ? "-" : ""}${abs}%`;
+}
+
+// Cross rates span many magnitudes (ZEC/BTC ~0.0004, ZEC/ETH ~0.01)
+export function fmtRatio(x) {
+  if (!Number.isFinite(x)) return "--";
+  return new Intl.NumberFormat(formatLocale, {
+    maximumSignificantDigits: 5,
+  }).format(x);
+}
+
+export function changeClass(x) {
+  return x > 0 ? "good" : x < 0 ? "bad" : "";
+}
+
+export function fmtSigned(x, digits = 2) {
+  if (!Number.isFinite(x)) return "--";
+  return `${x > 0 ? "+" : ""}${fmtNumber(x, digits)}`;
+}
+
+export function fmtChartTime(t, range) {
+  const d = new Date(t);
+  return range === "24h"
+    ? d.toLocaleTimeString(formatLocale, { hour: "2-digit", minute: "2-digit" })
+    : d.toLocaleDateString(formatLocale, { month: "short", day: "numeric" });
+}
+
+export function fmtClockTime(t) {
+  return new Date(t).toLocaleTimeString(formatLocale, { hour: "2-digit", minute: "2-digit" });
+}
+
+export function fmtDate(t) {
+  return new Date(t).toLocaleDateString(formatLocale, { year: "numeric", month: "short", day: "numeric" });
+}
+
+export function fmtDateTime(t) {
+  return new Date(t).toLocaleString(formatLocale, { dateStyle: "medium", timeStyle: "short" });
+}
+
+// 1.23e10 -> "12.3 GSol/s"
+export function fmtHashrate(x) {
+  if (!Number.isFinite(x)) return "--";
+  const prefixes = ["", "k", "M", "G", "T", "P"];
+  const exp = Math.min(Math.max(Math.floor(Math.log10(Math.abs(x) || 1) / 3), 0), prefixes.length - 1);
+  return `${fmtNumber(x / 1000 ** exp, 2)} ${prefixes[exp]}Sol/s`;
+}
+
+export function fmtBytes(x) {
+  if (!Number.isFinite(x)) return "--";
+  if (x < 1_000) return `${fmtNumber(x, 0)} B`;
+  if (x < 1_000_000) return `${fmtNumber(x / 1_000, 1)} kB`;
+  return `${fmtNumber(x / 1_000_000, 2)} MB`;
+}
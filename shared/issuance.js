@@ -0,0 +1,173 @@
+// Zcash mainnet emission schedule (protocol spec §7.8, ZIP 208, ZIP 207,
+// ZIP 214, ZIP 1015). Plain functions with no dependencies so the API server
+// and the dashboard compute exactly the same numbers.
+//
+// Amounts are worked out in zatoshi and returned in ZEC.
+
+export const ZATS_PER_ZEC = 100_000_000;
+export const MAX_SUPPLY_ZEC = 21_000_000;
+
+export const SLOW_START_INTERVAL = 20_000;
+export const SLOW_START_SHIFT = SLOW_START_INTERVAL / 2;
+export const BLOSSOM_HEIGHT = 653_600;
+export const PRE_BLOSSOM_HALVING_INTERVAL = 840_000;
+export const POST_BLOSSOM_HALVING_INTERVAL = 1_680_000;
+export const PRE_BLOSSOM_BLOCK_SECONDS = 150;
+export const TARGET_BLOCK_SECONDS = 75;
+
+const BLOSSOM_SPACING_RATIO = PRE_BLOSSOM_BLOCK_SECONDS / TARGET_BLOCK_SECONDS;
+const MAX_SUBSIDY_ZATS = 12.5 * ZATS_PER_ZEC;
+const MAX_HALVINGS = 64;
+const YEAR_MS = 365.25 * 24 * 60 * 60_000;
+
+// Heights are [start, end). `numerator / denominator` of the block subsidy
+// goes to each recipient; the miner keeps the rest.
+export const FUNDING_STREAMS = [
+  { id: "founders", label: "Founders' Reward", start: 1, end: 1_046_400, numerator: 20, denominator: 100 },
+  { id: "ecc", label: "Electric Coin Co.", start: 1_046_400, end: 2_726_400, numerator: 7, denominator: 100 },
+  { id: "zf", label: "Zcash Foundation", start: 1_046_400, end: 2_726_400, numerator: 5, denominator: 100 },
+  { id: "mg", label: "Major Grants", start: 1_046_400, end: 2_726_400, numerator: 8, denominator: 100 },
+  { id: "lockbox", label: "Deferred lockbox", start: 2_726_400, end: 4_406_400, numerator: 12, denominator: 100 },
+  { id: "zcg", label: "Zcash Community Grants", start: 2_726_400, end: 4_406_400, numerator: 8, denominator: 100 },
+];
+
+/* ─── schedule ─── */
+function isBlossom(height) {
+  return height >= BLOSSOM_HEIGHT;
+}
+
+export function halvingIndex(height) {
+  if (height < SLOW_START_SHIFT) return 0;
+  if (!isBlossom(height)) {
+    return Math.floor((height - SLOW_START_SHIFT) / PRE_BLOSSOM_HALVING_INTERVAL);
+  }
+  // Pre-Blossom progress scaled to post-Blossom blocks keeps this in integers
+  const scaled = (BLOSSOM_HEIGHT - SLOW_START_SHIFT) * BLOSSOM_SPACING_RATIO + (height - BLOSSOM_HEIGHT);
+  return Math.floor(scaled / POST_BLOSSOM_HALVING_INTERVAL);
+}
+
+// First height of halving n (n >= 1); every halving so far is post-Blossom
+export function halvingHeight(n) {
+  return BLOSSOM_HEIGHT
+    + n * POST_BLOSSOM_HALVING_INTERVAL
+    - (BLOSSOM_HEIGHT - SLOW_START_SHIFT) * BLOSSOM_SPACING_RATIO;
+}
+
+export function nextHalvingHeight(height) {
+  return halvingHeight(halvingIndex(Math.max(height, BLOSSOM_HEIGHT)) + 1);
+}
+
+function subsidyZats(height) {
+  if (height < SLOW_START_SHIFT) return (MAX_SUBSIDY_ZATS / SLOW_START_INTERVAL) * height;
+  if (height < SLOW_START_INTERVAL) return (MAX_SUBSIDY_ZATS / SLOW_START_INTERVAL) * (height + 1);
+  const halvings = halvingIndex(height);
+  if (halvings >= MAX_HALVINGS) return 0;
+  const base = isBlossom(height) ? MAX_SUBSIDY_ZATS / BLOSSOM_SPACING_RATIO : MAX_SUBSIDY_ZATS;
+  return Math.floor(base / 2 ** halvings);
+}
+
+export function blockSubsidy(height) {
+  return subsidyZats(height) / ZATS_PER_ZEC;
+}
+
+// Who receives the subsidy of the block at `height`:
+// { subsidy, miner, streams: [{ id, label, share, zec }] }
+export function subsidySplit(height) {
+  const subsidy = subsidyZats(height);
+  const streams = FUNDING_STREAMS
+    .filter((s) => height >= s.start && height < s.end)
+    .map((s) => ({
+      id: s.id,
+      label: s.label,
+      share: s.numerator / s.denominator,
+      zats: Math.floor((subsidy * s.numerator) / s.denominator),
+    }));
+  const miner = subsidy - streams.reduce((sum, s) => sum + s.zats, 0);
+  return {
+    subsidy: subsidy / ZATS_PER_ZEC,
+    miner: miner / ZATS_PER_ZEC,
+    streams: streams.map(({ zats, ...s }) => ({ ...s, zec: zats / ZATS_PER_ZEC })),
+  };
+}
+
+// Total ZEC issued by blocks 0..height by the schedule alone. The real supply
+// is slightly lower (unclaimed miner fees, burnt outputs).
+export function issuedSupply(height) {
+  if (!Number.isFinite(height) || height < 0) return 0;
+  const h = Math.floor(height);
+
+  // Slow start: 1..shift-1 pays k, shift..interval-1 pays k+1 (in steps)
+  const step = MAX_SUBSIDY_ZATS / SLOW_START_INTERVAL;
+  const rampEnd = Math.min(h, SLOW_START_SHIFT - 1);
+  let zats = (step * rampEnd * (rampEnd + 1)) / 2;
+  if (h >= SLOW_START_SHIFT) {
+    const last = Math.min(h, SLOW_START_INTERVAL - 1) + 1;
+    zats += step * ((last * (last + 1)) / 2 - (SLOW_START_SHIFT * (SLOW_START_SHIFT + 1)) / 2);
+  }
+
+  // Constant-subsidy spans after that, split at Blossom and each halving
+  let start = SLOW_START_INTERVAL;
+  let next = BLOSSOM_HEIGHT;
+  let n = 0;
+  while (start <= h) {
+    const subsidy = subsidyZats(start);
+    if (subsidy === 0) break;
+    zats += subsidy * (Math.min(h + 1, next) - start);
+    start = next;
+    n += 1;
+    next = halvingHeight(n);
+  }
+  return zats / ZATS_PER_ZEC;
+}
+
+/* ─── time ─── */
+// Seconds per block from [[t, height], ...] samples (oldest first); null when
+// the window holds too few blocks to say anything
+export function observedBlockSeconds(samples, minBlocks = 20) {
+  const points = (samples ?? []).filter(([t, h]) => Number.isFinite(t) && Number.isFinite(h));
+  if (points.length < 2) return null;
+  const [t0, h0] = points[0];
+  const [t1, h1] = points[points.length - 1];
+  if (h1 - h0 < minBlocks || t1 <= t0) return null;
+  return (t1 - t0) / 1000 / (h1 - h0);
+}
+
+export function estimateHeightAt(t, { height, at, blockSeconds = TARGET_BLOCK_SECONDS }) {
+  return height + Math.floor((t - at) / 1000 / blockSeconds);
+}
+
+export function estimateTimeOf(targetHeight, { height, at, blockSeconds = TARGET_BLOCK_SECONDS }) {
+  return at + (targetHeight - height) * blockSeconds * 1000;
+}
+
+/* ─── summary ─── */
+// Everything the issuance panel shows. `blockSeconds` should be the observed
+// block time when known; the target-based ETA is reported alongside it.
+export function issuanceSummary({ height, at = Date.now(), blockSeconds, projectYears = [1, 5, 10] }) {
+  if (!Number.isFinite(height)) return null;
+  const seconds = Number.isFinite(blockSeconds) && blockSeconds > 0 ? blockSeconds : TARGET_BLOCK_SECONDS;
+  const chain = { height, at, blockSeconds: seconds };
+  const nextHeight = nextHalvingHeight(height);
+  const issued = issuedSupply(height);
+
+  return {
+    height,
+    halving: halvingIndex(height),
+    ...subsidySplit(height),
+    issued,
+    issuedPct: (issued / MAX_SUPPLY_ZEC) * 100,
+    blockSeconds: seconds,
+    nextHalving: {
+      height: nextHeight,
+      blocks: nextHeight - height,
+      eta: estimateTimeOf(nextHeight, chain),
+      etaAtTarget: estimateTimeOf(nextHeight, { ...chain, blockSeconds: TARGET_BLOCK_SECONDS }),
+      subsidy: blockSubsidy(nextHeight),
+    },
+    projections: projectYears.map((years) => {
+      const t = at + years * YEAR_MS;
+      const projectedHeight = estimateHeightAt(t, chain);
+      return { years, t, height: projectedHeight, supply: issuedSupply(projectedHeight) };
+    }),
+  };
+}
@@ -0,0 +1,54 @@
+// Dashboard themes. The colors live in src/index.css as CSS custom properties
+// (:root and :root[data-theme=…]); this module names the built-in themes and
+// checks the custom ones from config.json, for the API server and the dashboard.
+
+export const BUILTIN_THEMES = [
+  { id: "crt", label: "Dark CRT", crt: true },
+  { id: "dark", label: "Dark", crt: false },
+  { id: "light", label: "Light", crt: false },
+  { id: "contrast", label: "High contrast", crt: false },
+];
+
+export const DEFAULT_THEME = "crt";
+
+// Custom properties a custom theme may set (without the leading --)
+export const THEME_VARS = [
+  "bg", "bg-glow", "fg", "muted", "accent", "accent-2", "good", "bad",
+  "pool-sprout", "pool-sapling", "pool-orchard",
+  "accent-soft", "accent-line", "line", "line-strong", "surface", "surface-strong",
+  "card-bg", "card-border", "card-shadow", "watermark", "logo-plate",
+];
+
+const THEME_ID_RE = /^[a-z0-9-]+$/;
+
+// config.json "themes", one entry per brand theme:
+//   { id, label?, base?: "crt" | "dark" | "light" | "contrast", crt?, vars: { accent: "#e8b30f", … } }
+// Bad entries and unknown vars are dropped with a warning.
+export function parseThemes(list = []) {
+  const themes = [];
+  for (const entry of list) {
+    const id = entry?.id;
+    const base = BUILTIN_THEMES.find((t) => t.id === (entry?.base ?? "dark"));
+    if (typeof id !== "string" || !THEME_ID_RE.test(id) || BUILTIN_THEMES.some((t) => t.id === id)) {
+      console.warn(`themes: "${id}" ignored (id must be lowercase letters, digits or "-" and not a built-in name)`);
+      continue;
+    }
+    if (!base) {
+      console.warn(`themes: "${id}" ignored (unknown base "${entry.base}")`);
+      continue;
+    }
+    const vars = {};
+    for (const [name, value] of Object.entries(entry.vars ?? {})) {
+      if (THEME_VARS.includes(name) && typeof value === "string" && !/[;{}]/.test(value)) vars[name] = value;
+      else console.warn(`themes: "${id}" var "${name}" ignored`);
+    }
+    themes.push({
+      id,
+      label: entry.label ?? id,
+      base: base.id,
+      crt: typeof entry.crt === "boolean" ? entry.crt : base.crt,
+      vars,
+    });
+  }
+  return themes;
+}
@@ -0,0 +1,20 @@
+import { useI18n } from "./i18n.jsx";
+import { fmtClockTime } from "../shared/format.js";
+
+// Active server-side alerts (config.json "alerts"), newest first. The banner
+// flashes until the condition clears, or for a while after a level crossing.
+export function AlertBanner({ alerts }) {
+  const { t } = useI18n();
+  const active = alerts?.active ?? [];
+  if (!active.length) return null;
+  const [latest, ...rest] = active;
+
+  return (
+    <div className={`alert-banner alert-${latest.severity}`} role="alert">
+      <span className="alert-banner-label">{latest.label}</span>
+      <span className="alert-banner-message">{latest.message}</span>
+      <span className="alert-banner-time">{fmtClockTime(latest.t)}</span>
+      {rest.length > 0 && <span className="alert-banner-more">{t("alerts.more", { count: rest.length })}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,30 @@
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { fmtNumber } from "../../shared/format.js";
+
+export function HeightCard({ data, cardRef, appRef }) {
+  const { t } = useI18n();
+  const stale = staleness(data?.meta?.info, data?.meta?.mempool);
+
+  return (
+    <section className={`card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-chain" appRef={appRef} label={t("height.export")} />
+      <StaleBadge state={stale} />
+      <div className="stat-block">
+        <div className="label">{t("height.title")}</div>
+        <div className="value main-number">
+          {fmtNumber(data?.height, 0)} <span className="main-number-unit">{t("height.tip")}</span>
+        </div>      
+      </div>
+      
+      <div className="stat-block">
+        <div className="label">{t("height.mempool")}</div>
+        <div className="value main-number">
+          {fmtNumber(data?.mempoolSize, 0)} <span className="main-number-unit">{t("height.waiting")}</span>
+        </div>
+      </div>
+      {/* <div className="sub">transactions waiting</div> */}
+    </section>
+  );
+}
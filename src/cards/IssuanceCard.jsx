@@ -0,0 +1,103 @@
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { fmtDate, fmtNumber } from "../../shared/format.js";
+import { DAY_MS } from "../hooks.js";
+import { issuanceSummary, MAX_SUPPLY_ZEC, TARGET_BLOCK_SECONDS } from "../../shared/issuance.js";
+
+// options.years lists the supply projections, in years from now (default 1, 5, 10)
+export function IssuanceCard({ data, options = {}, cardRef, appRef }) {
+  const { t } = useI18n();
+  const stale = staleness(data?.meta?.info);
+  const observed = data?.blockTime?.observed;
+  const years = Array.isArray(options.years) ? options.years.filter(Number.isFinite) : undefined;
+  const summary = issuanceSummary({
+    height: data?.height,
+    at: data?.meta?.info?.fetchedAt ?? Date.now(),
+    blockSeconds: observed,
+    projectYears: years,
+  });
+
+  const next = summary?.nextHalving;
+  const parts = summary
+    ? [{ id: "miner", share: summary.miner / summary.subsidy, zec: summary.miner }, ...summary.streams]
+    : [];
+  const windowHours = Math.round((data?.blockTime?.windowMs ?? 0) / (60 * 60_000));
+
+  return (
+    <section className={`card issuance-card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-issuance" appRef={appRef} label={t("issuance.export")} />
+      <StaleBadge state={stale} />
+
+      <div className="stat-block">
+        <div className="label">{t("issuance.subsidy")}</div>
+        <div className="value main-number">
+          {fmtNumber(summary?.subsidy, 5)} <span className="main-number-unit">{t("issuance.perBlock")}</span>
+        </div>
+        {parts.length > 0 && (
+          <>
+            <div className="issuance-split" aria-hidden="true">
+              {parts.map((p) => (
+                <div
+                  key={p.id}
+                  className={`issuance-split-part issuance-${p.id}`}
+                  style={{ width: `${(p.share * 100).toFixed(2)}%` }}
+                />
+              ))}
+            </div>
+            <ul className="issuance-legend">
+              {parts.map((p) => (
+                <li key={p.id}>
+                  <span className={`issuance-swatch issuance-${p.id}`} />
+                  <span className="issuance-legend-label">{t(`issuance.stream.${p.id}`)}</span>
+                  <span>{fmtNumber(p.share * 100, 0)}%</span>
+                  <span>{fmtNumber(p.zec, 5)} ZEC</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+
+      <div className="stat-block">
+        <div className="label">{t("issuance.nextHalving")}</div>
+        <div className="value main-number">
+          {fmtNumber(next?.blocks, 0)} <span className="main-number-unit">{t("issuance.blocksToGo")}</span>
+        </div>
+        {next && (
+          <div className="sub issuance-halving">
+            {t("issuance.halving", {
+              height: fmtNumber(next.height, 0),
+              date: fmtDate(next.eta),
+              days: fmtNumber((next.eta - Date.now()) / DAY_MS, 0),
+              subsidy: fmtNumber(next.subsidy, 5),
+            })}
+          </div>
+        )}
+        <div className="sub issuance-block-time">
+          {Number.isFinite(observed)
+            ? t("issuance.observed", {
+              seconds: fmtNumber(observed, 1),
+              hours: windowHours,
+              date: next ? fmtDate(next.etaAtTarget) : "--",
+              target: TARGET_BLOCK_SECONDS,
+            })
+            : t("issuance.targetOnly", { target: TARGET_BLOCK_SECONDS })}
+        </div>
+      </div>
+
+      <div className="stat-block">
+        <div className="label">{t("issuance.projected")}</div>
+        <ul className="issuance-projections">
+          {(summary?.projections ?? []).map((p) => (
+            <li key={p.years}>
+              <span className="issuance-projection-date">{fmtDate(p.t)}</span>
+              <span>{fmtNumber(p.supply, 0)} ZEC</span>
+              <span className="issuance-projection-pct">{fmtNumber((p.supply / MAX_SUPPLY_ZEC) * 100, 2)}%</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,85 @@
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { fmtDate, fmtFiat, fmtNumber } from "../../shared/format.js";
+
+// Holders come from the server's registry (config.json "holders");
+// options.holders picks and orders them by id
+export function LockboxCard({ data, currency, options = {}, cardRef, appRef }) {
+  const { t } = useI18n();
+  const vp = data?.valuePools ?? {};
+  const price = data?.prices?.[currency]?.price;
+  const toFiat = (zec) => (Number.isFinite(zec) && Number.isFinite(price) ? zec * price : null);
+  const circulatingSupply = Number.isFinite(data?.circulatingSupply)
+    ? data.circulatingSupply
+    : Number.isFinite(vp?.totalChain) ? vp.totalChain : null;
+
+  const registry = data?.treasury?.holders ?? [];
+  const holders = Array.isArray(options.holders)
+    ? options.holders.map((id) => registry.find((h) => h.id === id)).filter(Boolean)
+    : registry;
+  const stale = staleness(
+    data?.meta?.[`price:${currency}`],
+    ...holders.map((h) => ({ fetchedAt: h.asOf, stale: h.stale, maxAgeMs: h.maxAgeMs }))
+  );
+
+  const holdingsList = holders.map((h) => {
+    const pct = Number.isFinite(h.zec) && Number.isFinite(circulatingSupply) && circulatingSupply > 0
+      ? (h.zec / circulatingSupply) * 100
+      : null;
+    // fixed and share-based figures are only as good as the date they were entered
+    const asOf = h.maxAgeMs === null && Number.isFinite(h.asOf) ? h.asOf : null;
+    return { ...h, fiat: toFiat(h.zec), pct, asOf };
+  });
+
+  const maxPct = holdingsList.reduce((max, h) => {
+    return Number.isFinite(h.pct) && h.pct > max ? h.pct : max;
+  }, 0);
+
+  const normalizedHoldings = holdingsList.map((h) => {
+    const scaled = Number.isFinite(h.pct) ? Math.sqrt(Math.max(h.pct, 0)) : null;
+    const pctWidth = scaled
+      ? Math.min(90, Math.max(6, scaled * 12))
+      : 0;
+    return { ...h, pctWidth };
+  });
+
+  return (
+    <section className={`card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-lockbox" appRef={appRef} label={t("lockbox.export")} />
+      <StaleBadge state={stale} />
+      <div className="holdings-grid">
+        {normalizedHoldings.map((h) => (
+          <div className="stat-block" key={h.id}>
+            <div className="label">
+              {h.label}
+              {h.asOf && <span className="holding-as-of"> {t("lockbox.asOf", { date: fmtDate(h.asOf) })}</span>}
+            </div>
+            <div className="value main-number">
+              {fmtNumber(h.zec, 4)} <span className="main-number-unit">ZEC</span>
+            </div>
+            <div className="value-sub">
+              {fmtFiat(h.fiat, currency)} <span className="unit-sub">{currency.toUpperCase()}</span>
+            </div>
+            <div className="stat-spacer" />
+            {Number.isFinite(h.pct) && (
+              <div className="holding-progress">
+                <div className="holding-progress-label">
+                  <span className="holding-progress-pct">{fmtNumber(h.pct, 3)}%</span>
+                  <span className="holding-progress-rest">{t("lockbox.ofCirculating")}</span>
+                </div>
+                <div className="holding-progress-bar">
+                  <div
+                    className="holding-progress-fill"
+                    style={{ width: `${Math.min(h.pctWidth, 100).toFixed(2)}%` }}
+                  />
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+      
+    </section>
+  );
+}
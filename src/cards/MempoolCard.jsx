@@ -0,0 +1,93 @@
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { Sparkline } from "../charts.jsx";
+import { HOUR_MS, useHistory } from "../hooks.js";
+import { fmtBytes, fmtNumber } from "../../shared/format.js";
+
+// Labels are the mempool.<key> messages
+const TX_TYPES = ["transparent", "sapling", "orchard", "mixed", "unknown"];
+
+// Fee histogram buckets are multiples of each transaction's ZIP 317
+// conventional fee; the pool size graph covers the last hour
+export function MempoolCard({ data, cardRef, appRef }) {
+  const { t } = useI18n();
+  const series = useHistory(["mempoolSize"], { rangeMs: HOUR_MS, resolution: "1m", agg: "max" });
+  const detail = data?.mempool;
+  const stale = staleness(detail?.meta?.mempoolDetail ?? data?.meta?.mempool);
+
+  const size = Number.isFinite(detail?.size) ? detail.size : data?.mempoolSize;
+  const history = series?.mempoolSize ?? [];
+  const points = Number.isFinite(data?.mempoolSize)
+    ? [...history, [data.timestamp ?? Date.now(), data.mempoolSize]]
+    : history;
+
+  const buckets = detail?.feeBuckets ?? [];
+  const maxBucket = Math.max(1, ...buckets.map((b) => b.count));
+  const types = TX_TYPES
+    .map((key) => ({ key, count: detail?.types?.[key] ?? 0 }))
+    .filter((type) => type.count > 0 || type.key !== "unknown");
+  const typed = types.reduce((sum, type) => sum + type.count, 0);
+
+  return (
+    <section className={`card mempool-card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-mempool" appRef={appRef} label={t("mempool.export")} />
+      <StaleBadge state={stale} />
+      <div className="stat-block">
+        <div className="label">{t("mempool.title")}</div>
+        <div className="value main-number">
+          {fmtNumber(size, 0)} <span className="main-number-unit">{t("mempool.waiting")}</span>
+        </div>
+        {detail && (
+          <div className="sub mempool-totals">
+            {t("mempool.fees", { bytes: fmtBytes(detail.bytes), zec: fmtNumber(detail.totalFees, 5) })}
+          </div>
+        )}
+        {detail?.sampled < detail?.size && (
+          <div className="sub mempool-sampled">
+            {t("mempool.sampled", { sampled: fmtNumber(detail.sampled, 0), size: fmtNumber(detail.size, 0) })}
+          </div>
+        )}
+      </div>
+
+      <Sparkline points={points} className="mempool-size" height={36} />
+
+      {detail ? (
+        <>
+          <div className="mempool-histogram" role="img" aria-label={t("mempool.feeDistribution")}>
+            {buckets.map((b) => (
+              <div className={`mempool-bucket mempool-bucket-${b.key}`} key={b.key}>
+                <span className="mempool-bucket-count">{fmtNumber(b.count, 0)}</span>
+                <div className="mempool-bucket-bar">
+                  <div className="mempool-bucket-fill" style={{ height: `${((b.count / maxBucket) * 100).toFixed(1)}%` }} />
+                </div>
+                <span className="mempool-bucket-label">{b.label}</span>
+              </div>
+            ))}
+          </div>
+          <div className="mempool-types">
+            <div className="mempool-types-bar" aria-hidden="true">
+              {typed > 0 && types.map((type) => (
+                <div
+                  key={type.key}
+                  className={`mempool-type-${type.key}`}
+                  style={{ width: `${((type.count / typed) * 100).toFixed(1)}%` }}
+                />
+              ))}
+            </div>
+            <ul className="mempool-types-legend">
+              {types.map((type) => (
+                <li key={type.key}>
+                  <span className={`mempool-swatch mempool-type-${type.key}`} />
+                  {t(`mempool.${type.key}`)} <strong>{fmtNumber(type.count, 0)}</strong>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </>
+      ) : (
+        <div className="sub mempool-unavailable">{t("mempool.unavailable")}</div>
+      )}
+    </section>
+  );
+}
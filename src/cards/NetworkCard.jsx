@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { Sparkline } from "../charts.jsx";
+import { DAY_MS, useHistory, valueAt } from "../hooks.js";
+import { changeClass, fmtHashrate, fmtNumber, fmtPercent } from "../../shared/format.js";
+import { TARGET_BLOCK_SECONDS } from "../../shared/issuance.js";
+
+// Labels are the network.<key> messages
+const METRICS = [
+  { key: "difficulty", format: (x) => fmtNumber(x, 0) },
+  { key: "hashrate", format: fmtHashrate },
+  { key: "blockInterval", format: (x) => `${fmtNumber(x, 1)} s` },
+  { key: "txPerBlock", format: (x) => fmtNumber(x, 1) },
+];
+
+const TREND_WINDOWS = [
+  { key: "24h", ms: DAY_MS },
+  { key: "7d", ms: 7 * DAY_MS },
+  { key: "30d", ms: 30 * DAY_MS },
+];
+
+export function NetworkCard({ data, options = {}, cardRef, appRef }) {
+  const { t } = useI18n();
+  const [windowKey, setWindowKey] = useState(() =>
+    TREND_WINDOWS.some((w) => w.key === options.window) ? options.window : "7d"
+  );
+  const series = useHistory(
+    METRICS.map((m) => `network.${m.key}`),
+    { rangeMs: 30 * DAY_MS, resolution: "1h", agg: "avg" }
+  );
+
+  const stale = staleness(data?.meta?.network);
+  const network = data?.network ?? {};
+  const since = Date.now() - TREND_WINDOWS.find((w) => w.key === windowKey).ms;
+
+  const metrics = METRICS.map((m) => {
+    const points = series?.[`network.${m.key}`] ?? [];
+    const current = Number.isFinite(network[m.key]) ? network[m.key] : points.at(-1)?.[1];
+    const start = valueAt(points, since);
+    const change = Number.isFinite(current) && start > 0 ? ((current - start) / start) * 100 : null;
+    return { ...m, current, change, points: points.filter(([t]) => t >= since) };
+  });
+
+  const shielded = network.shieldedTxPerBlock;
+  const transparent = network.transparentTxPerBlock;
+  const splitTotal = Number.isFinite(shielded) && Number.isFinite(transparent) ? shielded + transparent : null;
+  const shieldedPct = splitTotal > 0 ? (shielded / splitTotal) * 100 : null;
+
+  return (
+    <section className={`card network-card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-network" appRef={appRef} label={t("network.export")} />
+      <StaleBadge state={stale} />
+      <div className="card-title-row">
+        <div className="label">{t("network.title")}</div>
+        <div className="range-tabs" role="tablist">
+          {TREND_WINDOWS.map((w) => (
+            <button
+              key={w.key}
+              type="button"
+              role="tab"
+              aria-selected={w.key === windowKey}
+              className={`range-tab${w.key === windowKey ? " is-active" : ""}`}
+              onClick={() => setWindowKey(w.key)}
+            >
+              {w.key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="pool-rows">
+        {metrics.map((m) => (
+          <div className={`pool-row network-${m.key}`} key={m.key}>
+            <div className="pool-row-head">
+              <span className="pool-row-label">{t(`network.${m.key}`)}</span>
+              <span className="pool-row-value">{m.format(m.current)}</span>
+              <span className={`pool-row-delta ${changeClass(m.change)}`}>
+                {m.key === "blockInterval"
+                  ? t("network.target", { seconds: TARGET_BLOCK_SECONDS })
+                  : `${fmtPercent(m.change, 1)} / ${windowKey}`}
+              </span>
+            </div>
+            <Sparkline points={m.points} height={28} />
+          </div>
+        ))}
+      </div>
+
+      {Number.isFinite(shieldedPct) && (
+        <div className="network-split">
+          <div className="network-split-bar" aria-hidden="true">
+            <div className="network-split-fill" style={{ width: `${shieldedPct.toFixed(1)}%` }} />
+          </div>
+          <div className="network-split-legend">
+            <span className="network-split-shielded">{t("network.shielded", { count: fmtNumber(shielded, 1) })}</span>
+            <span>{t("network.transparent", { count: fmtNumber(transparent, 1) })}</span>
+            <span>{t("network.sampled", { blocks: fmtNumber(network.blocksSampled, 0) })}</span>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,61 @@
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { fmtNumber } from "../../shared/format.js";
+import { MAX_SUPPLY_ZEC } from "../../shared/issuance.js";
+
+export function PoolsCard({ data, cardRef, appRef }) {
+  const { t } = useI18n();
+  const stale = staleness(data?.meta?.info);
+  const vp = data?.valuePools ?? {};
+  const shielded = vp?.shielded;
+
+  const totalChain = vp?.totalChain;
+  const circulating = Number.isFinite(data?.circulatingSupply)
+    ? data.circulatingSupply
+    : totalChain;
+  const minedPct = Number.isFinite(circulating)
+    ? (circulating / MAX_SUPPLY_ZEC) * 100
+    : null;
+  const shieldedPct = Number.isFinite(shielded) && Number.isFinite(totalChain) && totalChain > 0
+    ? (shielded / totalChain) * 100
+    : null;
+
+  return (
+    <section className={`card pools-card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-supply" appRef={appRef} label={t("pools.export")} />
+      <StaleBadge state={stale} />
+      <div className="stat-block">
+        <div className="label highlight">{t("pools.circulating")}</div>
+        <div className="highlight-supply">
+          {fmtNumber(circulating, 4)} ZEC {t("pools.of")}{" "}
+          <span className="circulating-highlight-accent">{fmtNumber(MAX_SUPPLY_ZEC, 0)} ZEC</span>
+        </div>
+      </div>
+      {Number.isFinite(minedPct) && (
+        <div className="supply-progress">
+          <div className="supply-progress-label">{t("pools.mined", { pct: fmtNumber(minedPct, 2) })}</div>
+          <div className="supply-progress-bar">
+            <div
+              className="supply-progress-fill"
+              style={{ width: `${Math.min(Math.max(minedPct, 0), 100).toFixed(2)}%` }}
+            />
+          </div>
+        </div>
+      )}
+
+      <div className="stat-block">
+        <div className="label">{t("pools.shielded")}</div>
+        <div className="value main-number">
+          {fmtNumber(shielded, 4)} <span className="unit">ZEC</span>
+        </div>
+        {Number.isFinite(shieldedPct) && (
+          <div className="sub shielded-share">
+            {t("pools.shieldedShare", { pct: fmtNumber(shieldedPct, 1) })}
+          </div>
+        )}
+      </div>
+      
+    </section>
+  );
+}
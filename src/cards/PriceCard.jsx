@@ -0,0 +1,112 @@
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { RangeBar, Sparkline } from "../charts.jsx";
+import { DAY_MS, useHistory } from "../hooks.js";
+import { changeClass, fmtFiat, fmtNumber, fmtPercent, fmtRatio } from "../../shared/format.js";
+
+function PairPanel({ data, pairs }) {
+  const series = useHistory(
+    pairs.map((p) => `prices.${p}`),
+    { rangeMs: 7 * DAY_MS }
+  );
+
+  if (!pairs.length) return null;
+
+  return (
+    <div className="pair-panel">
+      {pairs.map((pair) => {
+        const quote = data?.prices?.[pair] ?? {};
+        return (
+          <div className="pair-row" key={pair}>
+            <div className="pair-head">
+              <span className="pair-label">ZEC / {pair.toUpperCase()}</span>
+              <span className="pair-value">{fmtRatio(quote.price)}</span>
+              <span className={`pair-change ${changeClass(quote.change24h)}`}>
+                {fmtPercent(quote.change24h)}
+              </span>
+            </div>
+            <div className="pair-detail">
+              <div className="pair-range">
+                <span>{fmtRatio(quote.low24h)}</span>
+                <RangeBar low={quote.low24h} high={quote.high24h} value={quote.price} />
+                <span>{fmtRatio(quote.high24h)}</span>
+              </div>
+              <Sparkline points={series?.[`prices.${pair}`]} className="pair-sparkline" height={28} />
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export function PriceCard({ data, currency, pairs = [], options = {}, cardRef, appRef }) {
+  const { t } = useI18n();
+  const stale = staleness(
+    data?.meta?.[`price:${currency}`],
+    ...(options.showPairs === false ? [] : pairs.map((vs) => data?.meta?.[`price:${vs}`]))
+  );
+  const quote = data?.prices?.[currency] ?? {};
+  const price = quote.price;
+  const chg = quote.change24h;
+  const low = quote.low24h;
+  const high = quote.high24h;
+  const marketCap = quote.marketCap;
+  const marketCapChange = quote.marketCapChange24h;
+  const marketCapChangeFiat = quote.marketCapChange;
+
+  const chgClass =
+    chg > 0 ? "sub good"
+    : chg < 0 ? "sub bad"
+    : "sub";
+
+  const marketCapChangeClass =
+    marketCapChange > 0 ? "good"
+    : marketCapChange < 0 ? "bad"
+    : "";
+
+  return (
+    <section className={`card price-card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-price" appRef={appRef} label={t("price.export")} />
+      <StaleBadge state={stale} />
+      <div className="stat-block">
+        <div className="label">ZEC / {currency.toUpperCase()}</div>
+        <div className="value-row">
+          <div className="value main-number">
+            {fmtFiat(price, currency)}
+          </div>
+          <div className={chgClass}>
+            {fmtPercent(chg)}
+          </div>
+        </div>
+        <div className="sub range-line">
+          {t("price.range", { low: fmtFiat(low, currency), high: fmtFiat(high, currency) })}
+        </div>
+      </div>
+
+      {options.showPairs !== false && <PairPanel data={data} pairs={pairs} />}
+      <div className="market-cap-block stat-block">
+        <div className="label">{t("price.marketCap")}</div>
+        <div className="market-cap-value">
+          <span>{fmtFiat(marketCap, currency)}</span>
+          <span className={`market-cap-change ${marketCapChangeClass}`}>
+            {fmtPercent(marketCapChange)}
+          </span>
+        </div>
+        {Number.isFinite(marketCapChangeFiat) && (
+          <div className={`market-cap-delta ${marketCapChangeClass}`}>
+            {marketCapChangeFiat > 0 ? "+" : ""}
+            {fmtFiat(marketCapChangeFiat, currency)}
+            <span className="market-cap-delta-label">{t("price.per24h")}</span>
+          </div>
+        )}
+      </div>
+      <div className="extra mobile-only mempool-line">
+        {Number.isFinite(data?.mempoolSize) && (
+          <>{t("price.mempool", { count: fmtNumber(data.mempoolSize, 0) })}</>
+        )}
+      </div>
+    </section>
+  );
+}
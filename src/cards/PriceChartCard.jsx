@@ -0,0 +1,57 @@
+import { useState } from "react";
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { PriceChart } from "../charts.jsx";
+import { usePriceChart } from "../hooks.js";
+
+const CHART_RANGES = ["24h", "7d", "30d", "1y"];
+
+export function PriceChartCard({ data, currency, options = {}, cardRef, appRef }) {
+  const { t } = useI18n();
+  const [range, setRange] = useState(() =>
+    CHART_RANGES.includes(options.range) ? options.range : "24h"
+  );
+  const [type, setType] = useState(options.type === "ohlc" ? "ohlc" : "line");
+  const chart = usePriceChart(currency, range, type);
+  const stale = staleness(chart?.meta);
+  const quote = data?.prices?.[currency] ?? {};
+
+  return (
+    <section className={`card price-chart-card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-price-chart" appRef={appRef} label={t("priceChart.export")} />
+      <StaleBadge state={stale} />
+      <div className="card-title-row">
+        <div className="label">{t("priceChart.title", { currency: currency.toUpperCase() })}</div>
+        <div className="range-tabs" role="tablist">
+          {CHART_RANGES.map((r) => (
+            <button
+              key={r}
+              type="button"
+              role="tab"
+              aria-selected={r === range}
+              className={`range-tab${r === range ? " is-active" : ""}`}
+              onClick={() => setRange(r)}
+            >
+              {r}
+            </button>
+          ))}
+          <button
+            type="button"
+            className="range-tab chart-type-toggle"
+            onClick={() => setType((prev) => (prev === "line" ? "ohlc" : "line"))}
+            title={t("priceChart.toggle")}
+          >
+            {type === "line" ? t("priceChart.line") : t("priceChart.candles")}
+          </button>
+        </div>
+      </div>
+      <PriceChart
+        chart={chart}
+        band={{ low: quote.low24h, high: quote.high24h }}
+        currency={currency}
+        range={range}
+      />
+    </section>
+  );
+}
@@ -0,0 +1,134 @@
+import { useState } from "react";
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { Sparkline } from "../charts.jsx";
+import { DAY_MS, useHistory, valueAt } from "../hooks.js";
+import { fmtNumber, fmtSigned } from "../../shared/format.js";
+
+const SHIELDED_POOLS = [
+  { key: "sprout", label: "Sprout" },
+  { key: "sapling", label: "Sapling" },
+  { key: "orchard", label: "Orchard" },
+];
+
+const FLOW_WINDOWS = [
+  { key: "24h", ms: DAY_MS },
+  { key: "7d", ms: 7 * DAY_MS },
+  { key: "30d", ms: 30 * DAY_MS },
+];
+
+export function ShieldedPoolsCard({ data, options = {}, cardRef, appRef }) {
+  const { t } = useI18n();
+  const [windowKey, setWindowKey] = useState(() =>
+    FLOW_WINDOWS.some((w) => w.key === options.window) ? options.window : "7d"
+  );
+  const series = useHistory(
+    SHIELDED_POOLS.map((p) => `valuePools.${p.key}`),
+    { rangeMs: 30 * DAY_MS, resolution: "1h", agg: "last" }
+  );
+
+  const stale = staleness(data?.meta?.info);
+  const vp = data?.valuePools ?? {};
+  const windowMs = FLOW_WINDOWS.find((w) => w.key === windowKey).ms;
+  const since = Date.now() - windowMs;
+
+  const pools = SHIELDED_POOLS.map((p) => {
+    const points = series?.[`valuePools.${p.key}`] ?? [];
+    const current = Number.isFinite(vp?.[p.key]) ? vp[p.key] : points.at(-1)?.[1];
+    const start = valueAt(points, since);
+    const delta = Number.isFinite(current) && Number.isFinite(start) ? current - start : null;
+    return {
+      ...p,
+      current,
+      delta,
+      points: points.filter(([t]) => t >= since),
+    };
+  });
+
+  const byKey = Object.fromEntries(pools.map((p) => [p.key, p]));
+  const legacyDelta = [byKey.sprout.delta, byKey.sapling.delta].every(Number.isFinite)
+    ? byKey.sprout.delta + byKey.sapling.delta
+    : null;
+  const legacyOutflow = Number.isFinite(legacyDelta) ? Math.max(-legacyDelta, 0) : null;
+  const orchardInflow = Number.isFinite(byKey.orchard.delta) ? Math.max(byKey.orchard.delta, 0) : null;
+  // Only what left the legacy pools *and* showed up in Orchard counts as migrated
+  const migrated = Number.isFinite(legacyOutflow) && Number.isFinite(orchardInflow)
+    ? Math.min(legacyOutflow, orchardInflow)
+    : null;
+  const migrationScale = Math.max(legacyOutflow ?? 0, orchardInflow ?? 0);
+
+  return (
+    <section className={`card shielded-pools-card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-shielded-pools" appRef={appRef} label={t("shieldedPools.export")} />
+      <StaleBadge state={stale} />
+      <div className="card-title-row">
+        <div className="label">{t("shieldedPools.title")}</div>
+        <div className="range-tabs" role="tablist">
+          {FLOW_WINDOWS.map((w) => (
+            <button
+              key={w.key}
+              type="button"
+              role="tab"
+              aria-selected={w.key === windowKey}
+              className={`range-tab${w.key === windowKey ? " is-active" : ""}`}
+              onClick={() => setWindowKey(w.key)}
+            >
+              {w.key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="pool-rows">
+        {pools.map((p) => (
+          <div className={`pool-row pool-${p.key}`} key={p.key}>
+            <div className="pool-row-head">
+              <span className="pool-row-label">{p.label}</span>
+              <span className="pool-row-value">
+                {fmtNumber(p.current, 0)} <span className="unit-sub">ZEC</span>
+              </span>
+              <span className={`pool-row-delta ${p.delta > 0 ? "good" : p.delta < 0 ? "bad" : ""}`}>
+                {fmtSigned(p.delta, 0)} / {windowKey}
+              </span>
+            </div>
+            <Sparkline points={p.points} className={`pool-${p.key}`} height={36} />
+          </div>
+        ))}
+      </div>
+
+      <div className="migration">
+        <div className="migration-title">{t("shieldedPools.migration", { window: windowKey })}</div>
+        {Number.isFinite(migrationScale) && migrationScale > 0 ? (
+          <>
+            <div className="migration-flow">
+              <span className="migration-label">{t("shieldedPools.legacyOut")}</span>
+              <div className="migration-bar">
+                <div
+                  className="migration-fill pool-legacy"
+                  style={{ width: `${((legacyOutflow / migrationScale) * 100).toFixed(1)}%` }}
+                />
+              </div>
+              <span className="migration-value">{fmtNumber(legacyOutflow, 0)}</span>
+            </div>
+            <div className="migration-flow">
+              <span className="migration-label">{t("shieldedPools.orchardIn")}</span>
+              <div className="migration-bar">
+                <div
+                  className="migration-fill pool-orchard"
+                  style={{ width: `${((orchardInflow / migrationScale) * 100).toFixed(1)}%` }}
+                />
+              </div>
+              <span className="migration-value">{fmtNumber(orchardInflow, 0)}</span>
+            </div>
+            <div className="sub migration-summary">
+              {t("shieldedPools.migrated", { zec: fmtNumber(migrated, 0) })}
+            </div>
+          </>
+        ) : (
+          <div className="sub">{t("shieldedPools.noMovement")}</div>
+        )}
+      </div>
+    </section>
+  );
+}
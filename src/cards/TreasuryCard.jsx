@@ -0,0 +1,170 @@
+import { useState } from "react";
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { changeClass, fmtFiat, fmtNumber, fmtPercent } from "../../shared/format.js";
+
+const UNITS = ["usd", "zec"];
+
+// Headings are the treasury.<key> messages
+const COLUMNS = ["name", "holdings", "entry", "current", "pnl", "pct"];
+
+// In ZEC mode entry value is what the USD cost basis buys at today's price,
+// so PnL reads as ZEC gained or lost against buying now
+function companyRows(companies, priceUsd, circulatingSupply, unit) {
+  const toUnit = (usd) => (
+    unit === "usd" ? usd
+    : Number.isFinite(usd) && Number.isFinite(priceUsd) && priceUsd > 0 ? usd / priceUsd
+    : null
+  );
+  return companies.map((c) => {
+    const currentUsd = Number.isFinite(c.holdings) && Number.isFinite(priceUsd)
+      ? c.holdings * priceUsd
+      : c.currentValueUsd;
+    const entry = toUnit(c.entryValueUsd);
+    const current = unit === "zec" ? c.holdings : currentUsd;
+    const pnl = Number.isFinite(current) && Number.isFinite(entry) ? current - entry : null;
+    return {
+      name: c.name ?? c.symbol ?? "--",
+      symbol: c.symbol,
+      holdings: c.holdings,
+      entry,
+      current,
+      pnl,
+      pnlPct: Number.isFinite(pnl) && entry > 0 ? (pnl / entry) * 100 : null,
+      pct: Number.isFinite(c.holdings) && circulatingSupply > 0
+        ? (c.holdings / circulatingSupply) * 100
+        : null,
+    };
+  });
+}
+
+function sortRows(rows, { key, dir }) {
+  const sign = dir === "asc" ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    if (key === "name") return sign * a.name.localeCompare(b.name);
+    // unknown values always sink to the bottom
+    if (!Number.isFinite(a[key])) return Number.isFinite(b[key]) ? 1 : 0;
+    if (!Number.isFinite(b[key])) return -1;
+    return sign * (a[key] - b[key]);
+  });
+}
+
+function sum(rows, key) {
+  const values = rows.map((r) => r[key]).filter(Number.isFinite);
+  return values.length ? values.reduce((total, v) => total + v, 0) : null;
+}
+
+export function TreasuryCard({ data, options = {}, cardRef, appRef }) {
+  const { t } = useI18n();
+  const [unit, setUnit] = useState(() => (UNITS.includes(options.unit) ? options.unit : "usd"));
+  const [sort, setSort] = useState(() => ({
+    key: COLUMNS.includes(options.sort) ? options.sort : "holdings",
+    dir: "desc",
+  }));
+
+  const stale = staleness(data?.treasury?.meta, data?.meta?.["price:usd"]);
+  const circulatingSupply = Number.isFinite(data?.circulatingSupply)
+    ? data.circulatingSupply
+    : data?.valuePools?.totalChain;
+  const rows = sortRows(
+    companyRows(data?.treasury?.companies ?? [], data?.priceUsd, circulatingSupply, unit),
+    sort
+  );
+  const totals = {
+    holdings: sum(rows, "holdings"),
+    entry: sum(rows, "entry"),
+    current: sum(rows, "current"),
+    pnl: sum(rows, "pnl"),
+    pct: sum(rows, "pct"),
+  };
+
+  const fmtValue = (x) => (unit === "usd" ? fmtFiat(x, "usd") : fmtNumber(x, 2));
+  const fmtPnl = (x) => (Number.isFinite(x) && x > 0 ? `+${fmtValue(x)}` : fmtValue(x));
+
+  const toggleSort = (key) => setSort((prev) => ({
+    key,
+    dir: prev.key === key && prev.dir === "desc" ? "asc" : "desc",
+  }));
+
+  return (
+    <section className={`card treasury-card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-treasuries" appRef={appRef} label={t("treasury.export")} />
+      <StaleBadge state={stale} />
+      <div className="card-title-row">
+        <div className="label">{t("treasury.title")}</div>
+        <div className="range-tabs" role="tablist">
+          {UNITS.map((u) => (
+            <button
+              key={u}
+              type="button"
+              role="tab"
+              aria-selected={u === unit}
+              className={`range-tab${u === unit ? " is-active" : ""}`}
+              onClick={() => setUnit(u)}
+            >
+              {u.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="treasury-table-wrap">
+        <table className="treasury-table">
+          <thead>
+            <tr>
+              {COLUMNS.map((key) => (
+                <th
+                  key={key}
+                  aria-sort={sort.key === key ? `${sort.dir}ending` : "none"}
+                >
+                  <button type="button" onClick={() => toggleSort(key)}>
+                    {t(`treasury.${key}`)}
+                    {sort.key === key && <span aria-hidden="true">{sort.dir === "desc" ? " ▾" : " ▴"}</span>}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={`${row.name}-${row.symbol}`}>
+                <td className="treasury-company">
+                  {row.name}
+                  {row.symbol && <span className="treasury-symbol"> {row.symbol}</span>}
+                </td>
+                <td>{fmtNumber(row.holdings, 2)}</td>
+                <td>{fmtValue(row.entry)}</td>
+                <td>{fmtValue(row.current)}</td>
+                <td className={changeClass(row.pnl)}>
+                  {fmtPnl(row.pnl)}
+                  {Number.isFinite(row.pnlPct) && (
+                    <span className="treasury-pnl-pct"> {fmtPercent(row.pnlPct)}</span>
+                  )}
+                </td>
+                <td>{Number.isFinite(row.pct) ? `${fmtNumber(row.pct, 3)}%` : "--"}</td>
+              </tr>
+            ))}
+            {!rows.length && (
+              <tr>
+                <td colSpan={COLUMNS.length} className="treasury-empty">{t("treasury.empty")}</td>
+              </tr>
+            )}
+          </tbody>
+          {rows.length > 1 && (
+            <tfoot>
+              <tr>
+                <td>{t("treasury.total")}</td>
+                <td>{fmtNumber(totals.holdings, 2)}</td>
+                <td>{fmtValue(totals.entry)}</td>
+                <td>{fmtValue(totals.current)}</td>
+                <td className={changeClass(totals.pnl)}>{fmtPnl(totals.pnl)}</td>
+                <td>{Number.isFinite(totals.pct) ? `${fmtNumber(totals.pct, 3)}%` : "--"}</td>
+              </tr>
+            </tfoot>
+          )}
+        </table>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,68 @@
+import { ExportBtn } from "../export.jsx";
+import { useI18n } from "../i18n.jsx";
+import { StaleBadge, staleClass, staleness } from "../stale.jsx";
+import { changeClass, fmtClockTime, fmtDate, fmtFiat, fmtNumber, fmtSigned } from "../../shared/format.js";
+import { HOUR_MS } from "../hooks.js";
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}…${address.slice(-4)}`;
+}
+
+// Addresses come from config.json "watchlist". A balance move past the
+// address's threshold is highlighted for options.highlightHours (default 24).
+export function WatchlistCard({ data, currency, options = {}, cardRef, appRef }) {
+  const { t } = useI18n();
+  const highlightMs = (Number.isFinite(options.highlightHours) ? options.highlightHours : 24) * HOUR_MS;
+  const eventCount = Number.isFinite(options.events) ? options.events : 5;
+  const addresses = data?.watchlist?.addresses ?? [];
+  const events = (data?.watchlist?.events ?? []).slice(0, eventCount);
+  const price = data?.prices?.[currency]?.price;
+  const stale = staleness(...addresses);
+  const isRecent = (event) => Boolean(event) && Date.now() - event.t < highlightMs;
+
+  return (
+    <section className={`card watchlist-card${staleClass(stale)}`} ref={cardRef}>
+      <ExportBtn targetRef={cardRef} filename="zecstats-watchlist" appRef={appRef} label={t("watchlist.export")} />
+      <StaleBadge state={stale} />
+      <div className="label">{t("watchlist.title")}</div>
+
+      <div className="watchlist-rows">
+        {addresses.map((a) => (
+          <div
+            key={a.id}
+            className={`watchlist-row${isRecent(a.lastEvent) ? " is-highlighted" : ""}`}
+          >
+            <div className="watchlist-name">
+              <span>{a.label}</span>
+              <span className="watchlist-address" title={a.address}>{shortAddress(a.address)}</span>
+            </div>
+            <div className="watchlist-balance">
+              <span>{fmtNumber(a.zec, 2)} <span className="unit-sub">ZEC</span></span>
+              <span className="watchlist-fiat">
+                {fmtFiat(Number.isFinite(a.zec) && Number.isFinite(price) ? a.zec * price : null, currency)}
+              </span>
+            </div>
+            {isRecent(a.lastEvent) && (
+              <div className={`watchlist-delta ${changeClass(a.lastEvent.delta)}`}>
+                {fmtSigned(a.lastEvent.delta, 2)} ZEC
+              </div>
+            )}
+          </div>
+        ))}
+        {!addresses.length && <div className="watchlist-empty">{t("watchlist.empty")}</div>}
+      </div>
+
+      {events.length > 0 && (
+        <ul className="watchlist-events">
+          {events.map((e) => (
+            <li key={`${e.address}-${e.t}`} className={isRecent(e) ? "is-recent" : ""}>
+              <span className="watchlist-event-time">{fmtDate(e.t)} {fmtClockTime(e.t)}</span>
+              <span className="watchlist-event-label">{e.label}</span>
+              <span className={changeClass(e.delta)}>{fmtSigned(e.delta, 2)} ZEC</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
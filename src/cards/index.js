@@ -0,0 +1,26 @@
+import { PriceCard } from "./PriceCard.jsx";
+import { PriceChartCard } from "./PriceChartCard.jsx";
+import { PoolsCard } from "./PoolsCard.jsx";
+import { ShieldedPoolsCard } from "./ShieldedPoolsCard.jsx";
+import { LockboxCard } from "./LockboxCard.jsx";
+import { HeightCard } from "./HeightCard.jsx";
+import { TreasuryCard } from "./TreasuryCard.jsx";
+import { WatchlistCard } from "./WatchlistCard.jsx";
+import { IssuanceCard } from "./IssuanceCard.jsx";
+import { NetworkCard } from "./NetworkCard.jsx";
+import { MempoolCard } from "./MempoolCard.jsx";
+
+// Card ids usable in layouts/*.json
+export const CARDS = {
+  price: PriceCard,
+  priceChart: PriceChartCard,
+  pools: PoolsCard,
+  shieldedPools: ShieldedPoolsCard,
+  lockbox: LockboxCard,
+  height: HeightCard,
+  treasury: TreasuryCard,
+  watchlist: WatchlistCard,
+  issuance: IssuanceCard,
+  network: NetworkCard,
+  mempool: MempoolCard,
+};
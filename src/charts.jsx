@@ -0,0 +1,191 @@
+import { useRef, useState } from "react";
+import { useElementSize } from "./hooks.js";
+import { useI18n } from "./i18n.jsx";
+import { fmtDateTime, fmtFiat, fmtChartTime } from "../shared/format.js";
+
+export function Sparkline({ points, className = "", height = 48 }) {
+  const { t } = useI18n();
+  if (!Array.isArray(points) || points.length < 2) {
+    return <div className={`sparkline sparkline-empty ${className}`} style={{ height }}>{t("chart.collecting")}</div>;
+  }
+
+  const width = 240;
+  const xs = points.map(([t]) => t);
+  const ys = points.map(([, v]) => v);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const spanX = maxX - minX || 1;
+  const spanY = maxY - minY || 1;
+
+  const coords = points.map(([t, v]) => [
+    ((t - minX) / spanX) * width,
+    height - 2 - ((v - minY) / spanY) * (height - 4),
+  ]);
+  const line = coords.map(([x, y], i) => `${i ? "L" : "M"}${x.toFixed(1)},${y.toFixed(1)}`).join(" ");
+  const area = `${line} L${width},${height} L0,${height} Z`;
+
+  return (
+    <svg
+      className={`sparkline ${className}`}
+      viewBox={`0 0 ${width} ${height}`}
+      preserveAspectRatio="none"
+      style={{ height }}
+      aria-hidden="true"
+    >
+      <path className="sparkline-area" d={area} />
+      <path className="sparkline-line" d={line} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
+
+export function RangeBar({ low, high, value }) {
+  if (![low, high, value].every(Number.isFinite) || high <= low) return null;
+  const pos = Math.min(Math.max((value - low) / (high - low), 0), 1) * 100;
+  return (
+    <div className="range-bar" aria-hidden="true">
+      <div className="range-bar-marker" style={{ left: `${pos.toFixed(1)}%` }} />
+    </div>
+  );
+}
+
+const CHART_PAD = { top: 8, right: 64, bottom: 20, left: 6 };
+
+export function PriceChart({ chart, band, currency, range }) {
+  const { t } = useI18n();
+  const wrapRef = useRef(null);
+  const { width, height } = useElementSize(wrapRef);
+  const [hover, setHover] = useState(null);
+
+  const candles = chart?.type === "ohlc" ? chart.candles ?? [] : null;
+  // Normalise both shapes to [t, open, high, low, close]
+  const rows = candles ?? (chart?.points ?? []).map(([t, v]) => [t, v, v, v, v]);
+  const ready = rows.length > 1 && width > 0 && height > 0;
+
+  let body = null;
+  if (ready) {
+    const plotW = width - CHART_PAD.left - CHART_PAD.right;
+    const plotH = height - CHART_PAD.top - CHART_PAD.bottom;
+    const bandValues = [band?.low, band?.high].filter(Number.isFinite);
+    const lows = [...rows.map((r) => r[3]), ...bandValues];
+    const highs = [...rows.map((r) => r[2]), ...bandValues];
+    const minY = Math.min(...lows);
+    const maxY = Math.max(...highs);
+    const spanY = maxY - minY || 1;
+    const minX = rows[0][0];
+    const spanX = rows[rows.length - 1][0] - minX || 1;
+
+    const x = (t) => CHART_PAD.left + ((t - minX) / spanX) * plotW;
+    const y = (v) => CHART_PAD.top + (1 - (v - minY) / spanY) * plotH;
+
+    const hovered = hover === null ? null : rows[hover];
+    const linePath = rows
+      .map((r, i) => `${i ? "L" : "M"}${x(r[0]).toFixed(1)},${y(r[4]).toFixed(1)}`)
+      .join(" ");
+    const candleW = Math.max(1, (plotW / rows.length) * 0.6);
+
+    const handleMove = (e) => {
+      const rect = e.currentTarget.getBoundingClientRect();
+      const t = minX + ((e.clientX - rect.left - CHART_PAD.left) / plotW) * spanX;
+      let best = 0;
+      rows.forEach((r, i) => {
+        if (Math.abs(r[0] - t) < Math.abs(rows[best][0] - t)) best = i;
+      });
+      setHover(best);
+    };
+
+    body = (
+      <>
+        <svg
+          className="price-chart-svg"
+          width={width}
+          height={height}
+          onPointerMove={handleMove}
+          onPointerLeave={() => setHover(null)}
+        >
+          {bandValues.length === 2 && (
+            <g className="chart-band">
+              <rect
+                x={CHART_PAD.left}
+                y={y(band.high)}
+                width={plotW}
+                height={Math.max(1, y(band.low) - y(band.high))}
+              />
+              <text x={width - CHART_PAD.right + 4} y={y(band.high) + 4}>{t("chart.bandHigh")}</text>
+              <text x={width - CHART_PAD.right + 4} y={y(band.low) + 4}>{t("chart.bandLow")}</text>
+            </g>
+          )}
+
+          {candles ? (
+            <g className="chart-candles">
+              {rows.map(([t, o, h, l, c]) => (
+                <g key={t} className={c >= o ? "candle-up" : "candle-down"}>
+                  <line x1={x(t)} x2={x(t)} y1={y(h)} y2={y(l)} />
+                  <rect
+                    x={x(t) - candleW / 2}
+                    y={y(Math.max(o, c))}
+                    width={candleW}
+                    height={Math.max(1, Math.abs(y(o) - y(c)))}
+                  />
+                </g>
+              ))}
+            </g>
+          ) : (
+            <g className="chart-line">
+              <path
+                className="chart-area"
+                d={`${linePath} L${x(rows[rows.length - 1][0])},${CHART_PAD.top + plotH} L${x(minX)},${CHART_PAD.top + plotH} Z`}
+              />
+              <path className="chart-stroke" d={linePath} />
+            </g>
+          )}
+
+          <g className="chart-axis">
+            <text x={width - 4} y={CHART_PAD.top + 10} textAnchor="end">{fmtFiat(maxY, currency)}</text>
+            <text x={width - 4} y={CHART_PAD.top + plotH} textAnchor="end">{fmtFiat(minY, currency)}</text>
+            <text x={CHART_PAD.left} y={height - 4}>{fmtChartTime(minX, range)}</text>
+            <text x={CHART_PAD.left + plotW} y={height - 4} textAnchor="end">
+              {fmtChartTime(rows[rows.length - 1][0], range)}
+            </text>
+          </g>
+
+          {hovered && (
+            <g className="chart-crosshair">
+              <line x1={x(hovered[0])} x2={x(hovered[0])} y1={CHART_PAD.top} y2={CHART_PAD.top + plotH} />
+              <line x1={CHART_PAD.left} x2={CHART_PAD.left + plotW} y1={y(hovered[4])} y2={y(hovered[4])} />
+              <circle cx={x(hovered[0])} cy={y(hovered[4])} r={3} />
+            </g>
+          )}
+        </svg>
+
+        {hovered && (
+          <div
+            className="chart-tooltip"
+            style={{
+              left: Math.min(x(hovered[0]) + 10, width - CHART_PAD.right - 120),
+              top: CHART_PAD.top,
+            }}
+          >
+            <div className="chart-tooltip-time">{fmtDateTime(hovered[0])}</div>
+            {candles ? (
+              <div>
+                {t("chart.open")} {fmtFiat(hovered[1], currency)} {t("chart.high")} {fmtFiat(hovered[2], currency)}
+                <br />
+                {t("chart.low")} {fmtFiat(hovered[3], currency)} {t("chart.close")} {fmtFiat(hovered[4], currency)}
+              </div>
+            ) : (
+              <div>{fmtFiat(hovered[4], currency)}</div>
+            )}
+          </div>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <div className="price-chart" ref={wrapRef}>
+      {body ?? <div className="sparkline-empty">{t(chart ? "chart.noData" : "chart.loading")}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React, { useEffect, useRef } from "react";
+import ReactDOM from "react-dom/client";
+import { CARDS } from "./cards/index.js";
+import { I18nProvider, useI18n } from "./i18n.jsx";
+import { resolveTheme, useApplyTheme, useServerConfig, useStatus } from "./hooks.js";
+import { CURRENCIES } from "../shared/format.js";
+import "./index.css";
+
+/* ─── Embedded widget ─── */
+// /embed/<card>?theme=dark&currency=usd&size=sm|md|lg&lang=es renders one card on its
+// own for partner sites (/embed.html?card=<card> under the Vite dev server).
+// theme takes any dashboard theme id; the CRT effect is never applied.
+const EMBED_SIZES = { sm: "14px", md: "17px", lg: "21px" };
+
+function embedParams() {
+  const params = new URLSearchParams(window.location.search);
+  const card = window.location.pathname.match(/^\/embed\/([^/]+)/)?.[1] ?? params.get("card");
+  const currency = params.get("currency")?.toLowerCase();
+  const size = params.get("size");
+  return {
+    card,
+    theme: params.get("theme") ?? "dark",
+    currency: CURRENCIES.some((c) => c.code === currency) ? currency : "usd",
+    fontSize: EMBED_SIZES[size] ?? EMBED_SIZES.md,
+  };
+}
+
+// The loader sizes the iframe to the card from these messages
+function useReportHeight(card) {
+  useEffect(() => {
+    if (window.parent === window) return undefined;
+    const report = () => window.parent.postMessage(
+      { type: "zecstats:resize", card, height: document.documentElement.scrollHeight },
+      "*"
+    );
+    const observer = new ResizeObserver(report);
+    observer.observe(document.body);
+    return () => observer.disconnect();
+  }, [card]);
+}
+
+function Widget({ card, theme, currency }) {
+  const { t } = useI18n();
+  const config = useServerConfig();
+  useApplyTheme(resolveTheme(theme, config.themes));
+  const { data } = useStatus(currency, config.pairs);
+  const appRef = useRef(null);
+  const cardRef = useRef(null);
+  const Card = CARDS[card];
+  useReportHeight(card);
+
+  return (
+    <div className="app embed-app" ref={appRef}>
+      {Card ? (
+        <Card
+          data={data}
+          currency={currency}
+          pairs={config.pairs}
+          options={{}}
+          cardRef={cardRef}
+          appRef={appRef}
+        />
+      ) : (
+        <div className="card embed-error">{t("embed.unknownCard", { card })}</div>
+      )}
+      <a className="embed-credit" href="https://zecstats.info" target="_blank" rel="noopener noreferrer">
+        zecstats.info
+      </a>
+    </div>
+  );
+}
+
+const { card, theme, currency, fontSize } = embedParams();
+document.documentElement.style.setProperty("--embed-font-size", fontSize);
+
+ReactDOM.createRoot(document.getElementById("root")).render(
+  <React.StrictMode>
+    <I18nProvider persist={false}>
+      <Widget card={card} theme={theme} currency={currency} />
+    </I18nProvider>
+  </React.StrictMode>
+);
@@ -0,0 +1,96 @@
+import { useState, useCallback } from "react";
+import { toPng } from "html-to-image";
+import { FiCamera } from "react-icons/fi";
+import { useI18n } from "./i18n.jsx";
+
+/* ─── PNG export helper ─── */
+export async function exportToPng(node, filename, appEl) {
+  if (!node) return;
+
+  // Strip CRT effect during capture
+  const hadCrt = appEl?.classList.contains("crt-on");
+  if (hadCrt) appEl.classList.remove("crt-on");
+
+  // Lets cards unroll scroll areas (e.g. long tables) so all of it is captured
+  node.classList.add("is-exporting");
+
+  // Add large faint watermark text — size adapts to container
+  const watermark = document.createElement("div");
+  watermark.className = "export-watermark";
+  watermark.textContent = "https://zecstats.info";
+  node.style.position = "relative";
+  node.appendChild(watermark);
+
+  // Dynamically size the watermark to ~85% of the container width
+  const nodeWidth = node.offsetWidth;
+  const charCount = watermark.textContent.length;
+  const dynamicSize = Math.max(14, Math.min(72, (nodeWidth * 0.85) / (charCount * 0.75)));
+  watermark.style.fontSize = `${dynamicSize}px`;
+
+  // Add Zcash logo at bottom-right
+  const logo = document.createElement("img");
+  logo.src = new URL("/Primary Logo White Yellow.png", window.location.origin).href;
+  logo.className = "export-logo";
+  node.appendChild(logo);
+
+  // Wait for logo to load before capturing
+  await new Promise((resolve) => {
+    if (logo.complete) return resolve();
+    logo.onload = resolve;
+    logo.onerror = resolve;
+  });
+
+  try {
+    const dataUrl = await toPng(node, {
+      // the active theme's page color
+      backgroundColor: getComputedStyle(document.documentElement).getPropertyValue("--bg").trim() || "#000000",
+      pixelRatio: 2,
+      width: node.scrollWidth,
+      height: node.scrollHeight,
+      style: {
+        // Override any clamp/overflow so the full content is captured
+        overflow: "visible",
+        height: "auto",
+      },
+    });
+
+    const link = document.createElement("a");
+    link.download = `${filename}.png`;
+    link.href = dataUrl;
+    link.click();
+  } catch (err) {
+    console.error("PNG export failed:", err);
+  } finally {
+    // Remove injected elements and restore CRT
+    watermark.remove();
+    logo.remove();
+    node.classList.remove("is-exporting");
+    if (hadCrt) appEl.classList.add("crt-on");
+  }
+}
+
+/* ─── Export button component ─── */
+export function ExportBtn({ targetRef, filename, appRef, label }) {
+  const { t } = useI18n();
+  const [busy, setBusy] = useState(false);
+  const title = label ?? t("export.default");
+
+  const handleClick = useCallback(async () => {
+    if (busy) return;
+    setBusy(true);
+    await exportToPng(targetRef.current, filename, appRef.current);
+    setBusy(false);
+  }, [targetRef, filename, appRef, busy]);
+
+  return (
+    <button
+      type="button"
+      className={`export-btn${busy ? " is-busy" : ""}`}
+      onClick={handleClick}
+      title={title}
+      aria-label={title}
+    >
+      <FiCamera size={14} />
+    </button>
+  );
+}
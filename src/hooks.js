@@ -0,0 +1,439 @@
+import { useEffect, useState, useCallback } from "react";
+import axios from "axios";
+import { CURRENCIES } from "../shared/format.js";
+import { BUILTIN_THEMES, DEFAULT_THEME } from "../shared/themes.js";
+import bundledLayout from "../layouts/default.json";
+
+const PRICE_REFRESH_MS = 30_000;
+const MEMPOOL_REFRESH_MS = 10_000;
+const CURRENCY_STORAGE_KEY = "zecstats.currency";
+const THEME_STORAGE_KEY = "zecstats.theme";
+const CRT_STORAGE_KEY = "zecstats.crt";
+const HISTORY_REFRESH_MS = 5 * 60_000;
+const CHART_REFRESH_MS = 5 * 60_000;
+const STREAM_RETRY_MS = 15_000;
+const STREAM_GROUPS = ["price", "chain", "mempool", "network", "sources"];
+export const HOUR_MS = 60 * 60_000;
+export const DAY_MS = 24 * HOUR_MS;
+const KIOSK_INTERVAL_MS = 20_000;
+const KIOSK_RELOAD_MS = 6 * HOUR_MS;
+const KIOSK_ERROR_RELOAD_MS = 60_000;
+const KIOSK_REACHABLE_RETRY_MS = 30_000;
+
+// ?currency= wins (for kiosks), then the choice saved on this screen
+export function useCurrency() {
+  const [currency, setCurrency] = useState(() => {
+    const fromQuery = new URLSearchParams(window.location.search).get("currency")?.toLowerCase();
+    const stored = window.localStorage.getItem(CURRENCY_STORAGE_KEY);
+    const candidate = fromQuery ?? stored;
+    return CURRENCIES.some((c) => c.code === candidate) ? candidate : "usd";
+  });
+
+  const select = useCallback((code) => {
+    window.localStorage.setItem(CURRENCY_STORAGE_KEY, code);
+    setCurrency(code);
+  }, []);
+
+  return [currency, select];
+}
+
+// Built-in themes plus the config.json ones; unknown ids (or a custom theme
+// before the config has loaded) get the default
+export function resolveTheme(id, customThemes = []) {
+  return [...BUILTIN_THEMES, ...customThemes].find((t) => t.id === id)
+    ?? BUILTIN_THEMES.find((t) => t.id === DEFAULT_THEME);
+}
+
+// ?theme= wins (for kiosks), then the choice saved on this screen
+export function useTheme(customThemes) {
+  const [themeId, setThemeId] = useState(() =>
+    new URLSearchParams(window.location.search).get("theme")
+      ?? window.localStorage.getItem(THEME_STORAGE_KEY)
+      ?? DEFAULT_THEME
+  );
+
+  const select = useCallback((id) => {
+    window.localStorage.setItem(THEME_STORAGE_KEY, id);
+    setThemeId(id);
+  }, []);
+
+  const theme = resolveTheme(themeId, customThemes);
+  useApplyTheme(theme);
+  return [theme, select];
+}
+
+// Built-in themes are CSS rules keyed on data-theme; custom ones also set
+// their variables inline on <html>
+export function useApplyTheme(theme) {
+  useEffect(() => {
+    const root = document.documentElement;
+    const vars = Object.entries(theme.vars ?? {});
+    root.dataset.theme = theme.base ?? theme.id;
+    vars.forEach(([name, value]) => root.style.setProperty(`--${name}`, value));
+    return () => vars.forEach(([name]) => root.style.removeProperty(`--${name}`));
+  }, [theme]);
+}
+
+// The CRT effect follows the theme unless toggled on this screen; ?crt=0
+// turns it off regardless (kiosks have no toggle)
+export function useCrt(theme) {
+  const [stored, setStored] = useState(() => window.localStorage.getItem(CRT_STORAGE_KEY));
+  const forcedOff = new URLSearchParams(window.location.search).get("crt") === "0";
+  const enabled = !forcedOff && (stored === null ? theme.crt : stored === "1");
+
+  const toggle = useCallback(() => {
+    const next = enabled ? "0" : "1";
+    window.localStorage.setItem(CRT_STORAGE_KEY, next);
+    setStored(next);
+  }, [enabled]);
+
+  // Back to the theme's own setting, e.g. after picking another theme
+  const reset = useCallback(() => {
+    window.localStorage.removeItem(CRT_STORAGE_KEY);
+    setStored(null);
+  }, []);
+
+  return [enabled, toggle, reset];
+}
+
+export function useServerConfig() {
+  const [config, setConfig] = useState({ pairs: [], layout: null, themes: [], loaded: false });
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get("/api/config", { headers: { accept: "application/json" } })
+      .then((res) => {
+        if (!cancelled) setConfig((prev) => ({ ...prev, ...res.data }));
+      })
+      .catch((e) => console.error("config request error", e))
+      .finally(() => {
+        if (!cancelled) setConfig((prev) => ({ ...prev, loaded: true }));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return config;
+}
+
+// ?layout=name wins over the server default; the bundled default layout is the
+// fallback when the server can't provide one
+export function useLayout(defaultName) {
+  const [layout, setLayout] = useState(null);
+  const name = new URLSearchParams(window.location.search).get("layout") ?? defaultName;
+
+  useEffect(() => {
+    if (!name) return undefined;
+    let cancelled = false;
+    axios
+      .get(`/api/layouts/${encodeURIComponent(name)}`, { headers: { accept: "application/json" } })
+      .then((res) => {
+        if (!cancelled) setLayout(res.data);
+      })
+      .catch((e) => {
+        console.error(`layout "${name}" request error`, e);
+        if (!cancelled) setLayout({ name: "default", ...bundledLayout });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [name]);
+
+  return layout;
+}
+
+// ?kiosk=1 turns a screen into a rotating kiosk. ?interval= (seconds) and
+// ?reload= (minutes) override the layout's kiosk block.
+export function useKiosk(layoutKiosk) {
+  const params = new URLSearchParams(window.location.search);
+  const seconds = Number(params.get("interval"));
+  const minutes = Number(params.get("reload"));
+  return {
+    enabled: ["1", "true", "yes"].includes(params.get("kiosk")),
+    intervalMs: seconds > 0 ? seconds * 1_000 : layoutKiosk?.intervalMs ?? KIOSK_INTERVAL_MS,
+    reloadEveryMs: minutes > 0 ? minutes * 60_000 : layoutKiosk?.reloadEveryMs ?? KIOSK_RELOAD_MS,
+    transition: layoutKiosk?.transition ?? "fade",
+  };
+}
+
+// The browser drops the lock whenever the page is hidden, so it is requested
+// again each time the screen comes back
+export function useWakeLock(enabled) {
+  useEffect(() => {
+    if (!enabled || !("wakeLock" in navigator)) return undefined;
+    let lock = null;
+    let done = false;
+
+    async function acquire() {
+      if (document.visibilityState !== "visible" || (lock && !lock.released)) return;
+      try {
+        lock = await navigator.wakeLock.request("screen");
+        if (done) lock.release();
+      } catch (e) {
+        console.warn("wake lock request failed", e);
+      }
+    }
+
+    acquire();
+    document.addEventListener("visibilitychange", acquire);
+    return () => {
+      done = true;
+      document.removeEventListener("visibilitychange", acquire);
+      lock?.release().catch(() => {});
+    };
+  }, [enabled]);
+}
+
+// Reloads only once the server answers, so an outage doesn't strand the
+// screen on the browser's own error page
+async function reloadWhenReachable() {
+  try {
+    const res = await fetch("/api/config", { cache: "no-store" });
+    if (res.ok) {
+      window.location.reload();
+      return;
+    }
+  } catch {
+    // server still down; try again below
+  }
+  setTimeout(reloadWhenReachable, KIOSK_REACHABLE_RETRY_MS);
+}
+
+let pendingReload = null;
+
+export function scheduleReload(delayMs = KIOSK_ERROR_RELOAD_MS) {
+  if (pendingReload) return;
+  pendingReload = setTimeout(reloadWhenReachable, delayMs);
+}
+
+export function useKioskReload(enabled, everyMs) {
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const timer = everyMs > 0 ? setTimeout(reloadWhenReachable, everyMs) : null;
+    const onError = () => scheduleReload();
+    window.addEventListener("error", onError);
+    window.addEventListener("unhandledrejection", onError);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener("error", onError);
+      window.removeEventListener("unhandledrejection", onError);
+    };
+  }, [enabled, everyMs]);
+}
+
+export function useClock() {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const id = setInterval(() => setNow(new Date()), 1_000);
+    return () => clearInterval(id);
+  }, []);
+  return now;
+}
+
+export function useStatus(currency, pairs = []) {
+  const [data, setData] = useState(null);
+  const vs = [currency, ...pairs].join(",");
+
+  useEffect(() => {
+    let cancelled = false;
+    let source = null;
+    let reconnectTimer = null;
+    let pollTimers = [];
+
+    async function load() {
+      try {
+        const [statusRes, treasuryRes, watchlistRes, mempoolRes, alertsRes] = await Promise.all([
+          axios.get("/api/status", {
+            headers: { accept: "application/json" },
+            params: { vs },
+          }),
+          axios.get("/api/treasury", { headers: { accept: "application/json" } }),
+          axios.get("/api/watchlist", { headers: { accept: "application/json" } }).catch(() => ({ data: null })),
+          // needs a node or zcashmetro; the rest of the dashboard works without it
+          axios.get("/api/mempool", { headers: { accept: "application/json" } }).catch(() => ({ data: null })),
+          axios.get("/api/alerts", { headers: { accept: "application/json" } }).catch(() => ({ data: null })),
+        ]);
+        const j = statusRes.data;
+        if (cancelled) return;
+        setData({
+          ...j,
+          treasury: treasuryRes.data,
+          watchlist: watchlistRes.data,
+          mempool: mempoolRes.data,
+          alerts: { active: alertsRes.data?.active ?? [] },
+        });
+      } catch (e) {
+        console.error("status request error", e);
+      }
+    }
+
+    async function refreshMempool() {
+      try {
+        const res = await axios.get("/api/status", {
+          headers: { accept: "application/json" },
+          params: { vs },
+        });
+        if (cancelled) return;
+        const j = res.data;
+        setData((prev) => {
+          if (!prev) return prev;
+          return {
+            ...prev,
+            mempoolSize: Number.isFinite(j?.mempoolSize)
+              ? j.mempoolSize
+              : prev.mempoolSize,
+            height: Number.isFinite(j?.height) ? j.height : prev.height,
+            meta: j?.meta ?? prev.meta,
+            timestamp: j?.timestamp ?? Date.now(),
+          };
+        });
+      } catch (e) {
+        console.error("mempool refresh error", e);
+      }
+    }
+
+    // Polling only runs while the push stream is down
+    function startPolling() {
+      if (pollTimers.length) return;
+      load();
+      pollTimers = [
+        setInterval(load, PRICE_REFRESH_MS),
+        setInterval(refreshMempool, MEMPOOL_REFRESH_MS),
+      ];
+    }
+
+    function stopPolling() {
+      pollTimers.forEach(clearInterval);
+      pollTimers = [];
+    }
+
+    function merge(patch) {
+      if (cancelled) return;
+      setData((prev) => (prev ? { ...prev, ...patch } : prev));
+    }
+
+    function connect() {
+      if (typeof EventSource === "undefined") {
+        startPolling();
+        return;
+      }
+      source = new EventSource(`/api/stream?vs=${encodeURIComponent(vs)}`);
+      source.onopen = stopPolling;
+      source.addEventListener("snapshot", (e) => {
+        if (!cancelled) setData(JSON.parse(e.data));
+      });
+      STREAM_GROUPS.forEach((group) => {
+        source.addEventListener(group, (e) => merge(JSON.parse(e.data)));
+      });
+      source.addEventListener("treasury", (e) => merge({ treasury: JSON.parse(e.data) }));
+      source.addEventListener("watchlist", (e) => merge({ watchlist: JSON.parse(e.data) }));
+      source.addEventListener("mempoolDetail", (e) => merge({ mempool: JSON.parse(e.data) }));
+      source.addEventListener("alerts", (e) => merge({ alerts: JSON.parse(e.data) }));
+      source.onerror = () => {
+        startPolling();
+        // EventSource retries on its own unless the server refused the stream
+        if (source.readyState === EventSource.CLOSED) {
+          source = null;
+          reconnectTimer = setTimeout(connect, STREAM_RETRY_MS);
+        }
+      };
+    }
+
+    connect();
+    return () => {
+      cancelled = true;
+      source?.close();
+      clearTimeout(reconnectTimer);
+      stopPolling();
+    };
+  }, [vs]);
+
+  return { data };
+}
+
+export function useHistory(metrics, { rangeMs, resolution = "auto", agg = "avg" }) {
+  const [series, setSeries] = useState(null);
+  const metricKey = metrics.join(",");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      try {
+        const to = Date.now();
+        const res = await axios.get("/api/history", {
+          headers: { accept: "application/json" },
+          params: { metric: metricKey, from: to - rangeMs, to, resolution, agg },
+        });
+        if (!cancelled) setSeries(res.data?.series ?? null);
+      } catch (e) {
+        console.error("history request error", e);
+      }
+    }
+
+    load();
+    const id = setInterval(load, HISTORY_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [metricKey, rangeMs, resolution, agg]);
+
+  return series;
+}
+
+export function usePriceChart(currency, range, type) {
+  const [chart, setChart] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    async function load() {
+      try {
+        const res = await axios.get("/api/chart", {
+          headers: { accept: "application/json" },
+          params: { vs: currency, range, type },
+        });
+        if (!cancelled) setChart(res.data);
+      } catch (e) {
+        console.error("chart request error", e);
+      }
+    }
+
+    setChart(null);
+    load();
+    const id = setInterval(load, CHART_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(id);
+    };
+  }, [currency, range, type]);
+
+  return chart;
+}
+
+export function useElementSize(ref) {
+  const [size, setSize] = useState({ width: 0, height: 0 });
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setSize({ width: Math.floor(width), height: Math.floor(height) });
+    });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [ref]);
+
+  return size;
+}
+
+// Value at (or just after) `since`, so deltas reflect the whole window we have
+export function valueAt(points, since) {
+  if (!Array.isArray(points) || !points.length) return null;
+  const hit = points.find(([t]) => t >= since);
+  return hit ? hit[1] : null;
+}
@@ -0,0 +1,68 @@
+import { createContext, useCallback, useContext, useMemo, useState } from "react";
+import { setFormatLocale } from "../shared/format.js";
+import en from "./locales/en.js";
+import ptBR from "./locales/pt-BR.js";
+import es from "./locales/es.js";
+
+/* ─── Languages ─── */
+// Catalogs are flat key -> message maps; "{name}" placeholders are filled from
+// t()'s second argument. Missing keys fall back to English, then to the key.
+export const LANGUAGES = [
+  { code: "en", label: "English", locale: "en-US", messages: en },
+  { code: "pt-BR", label: "Português", locale: "pt-BR", messages: ptBR },
+  { code: "es", label: "Español", locale: "es-ES", messages: es },
+];
+
+const LANG_STORAGE_KEY = "zecstats.lang";
+
+// "pt-br", "pt" and "pt-PT" all pick pt-BR
+function matchLanguage(tag) {
+  if (!tag) return null;
+  const lower = tag.toLowerCase();
+  return LANGUAGES.find((l) => l.code.toLowerCase() === lower)
+    ?? LANGUAGES.find((l) => l.code.split("-")[0] === lower.split("-")[0])
+    ?? null;
+}
+
+// ?lang= wins (for kiosks), then the choice saved on this screen, then the browser's
+function initialLanguage(persist) {
+  const fromQuery = matchLanguage(new URLSearchParams(window.location.search).get("lang"));
+  const stored = persist ? matchLanguage(window.localStorage.getItem(LANG_STORAGE_KEY)) : null;
+  const fromBrowser = (navigator.languages ?? [navigator.language]).map(matchLanguage).find(Boolean);
+  return (fromQuery ?? stored ?? fromBrowser ?? LANGUAGES[0]).code;
+}
+
+export function translate(messages, key, vars = {}) {
+  const message = messages[key] ?? en[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+const I18nContext = createContext(null);
+
+// persist=false (embedded widgets) only honours ?lang= and the browser
+export function I18nProvider({ persist = true, children }) {
+  const [code, setCode] = useState(() => initialLanguage(persist));
+  const language = LANGUAGES.find((l) => l.code === code);
+
+  // Set before the children render so every fmt* call in this pass uses it
+  setFormatLocale(language.locale);
+  document.documentElement.lang = language.code;
+
+  const setLanguage = useCallback((next) => {
+    if (persist) window.localStorage.setItem(LANG_STORAGE_KEY, next);
+    setCode(next);
+  }, [persist]);
+
+  const value = useMemo(() => ({
+    lang: language.code,
+    locale: language.locale,
+    setLanguage,
+    t: (key, vars) => translate(language.messages, key, vars),
+  }), [language, setLanguage]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export function useI18n() {
+  return useContext(I18nContext);
+}
@@ -0,0 +1,81 @@
+import { Component, useEffect, useMemo, useState } from "react";
+import { LayoutCell } from "./layout.jsx";
+import { scheduleReload } from "./hooks.js";
+
+/* ─── Kiosk ─── */
+// A scene is a group of layout cells shown full screen together. The layout's
+// kiosk.scenes lists them by card id (or as full cells); without it every card
+// gets a scene of its own.
+function kioskScenes(layout) {
+  const cells = layout.rows.flatMap((row) => row.cards);
+  const scenes = layout.kiosk?.scenes;
+  if (!Array.isArray(scenes) || !scenes.length) return cells.map((cell) => [cell]);
+  return scenes
+    .map((scene) => [].concat(scene).map((entry) => (
+      typeof entry === "string" ? cells.find((c) => c.card === entry) ?? { card: entry } : entry
+    )))
+    .filter((scene) => scene.length);
+}
+
+// A card that throws blanks its own scene instead of the whole screen, and
+// the page reloads shortly after
+class SceneBoundary extends Component {
+  state = { failed: false };
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(err) {
+    console.error("kiosk scene error", err);
+    scheduleReload();
+  }
+
+  render() {
+    return this.state.failed ? null : this.props.children;
+  }
+}
+
+export function Kiosk({ layout, intervalMs, transition, data, currency, pairs, appRef }) {
+  const scenes = useMemo(() => kioskScenes(layout), [layout]);
+  const [index, setIndex] = useState(0);
+
+  useEffect(() => {
+    if (scenes.length < 2) return undefined;
+    const id = setInterval(() => setIndex((i) => (i + 1) % scenes.length), intervalMs);
+    return () => clearInterval(id);
+  }, [scenes.length, intervalMs]);
+
+  const current = index % Math.max(scenes.length, 1);
+  const scene = scenes[current] ?? [];
+
+  return (
+    <main className="kiosk">
+      <div
+        key={current}
+        className={`kiosk-scene kiosk-${transition}`}
+        style={{ "--scene-columns": scene.length }}
+      >
+        <SceneBoundary>
+          {scene.map((cell, j) => (
+            <LayoutCell
+              key={`${cell.card}-${j}`}
+              cell={cell}
+              data={data}
+              currency={currency}
+              pairs={pairs}
+              appRef={appRef}
+            />
+          ))}
+        </SceneBoundary>
+      </div>
+      {scenes.length > 1 && (
+        <div className="kiosk-progress" aria-hidden="true">
+          {scenes.map((_, i) => (
+            <span key={i} className={`kiosk-dot${i === current ? " is-active" : ""}`} />
+          ))}
+        </div>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,32 @@
+import { useRef } from "react";
+import { CARDS } from "./cards/index.js";
+
+/* ─── Layout ─── */
+// One layout entry: { card, span?, rowSpan?, options? }
+export function LayoutCell({ cell, data, currency, pairs, appRef }) {
+  const cardRef = useRef(null);
+  const Card = CARDS[cell.card];
+  if (!Card) {
+    console.warn(`layout: unknown card "${cell.card}"`);
+    return null;
+  }
+
+  return (
+    <div
+      className="layout-cell"
+      style={{
+        "--cell-column": cell.span ? `span ${cell.span}` : undefined,
+        "--cell-row": cell.rowSpan ? `span ${cell.rowSpan}` : undefined,
+      }}
+    >
+      <Card
+        data={data}
+        currency={currency}
+        pairs={pairs}
+        options={cell.options ?? {}}
+        cardRef={cardRef}
+        appRef={appRef}
+      />
+    </div>
+  );
+}
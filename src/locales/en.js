@@ -0,0 +1,128 @@
+// English messages, also the fallback for keys another catalog lacks
+export default {
+  "app.tagline": "PRIVACY IS NORMAL",
+  "app.exportAll": "Export All",
+  "app.exportAllTitle": "Export all stats as PNG",
+  "app.currency": "Display currency",
+  "app.theme": "Theme",
+  "app.language": "Language",
+  "app.crtOn": "CRT ON",
+  "app.crtOff": "CRT OFF",
+
+  "theme.crt": "Dark CRT",
+  "theme.dark": "Dark",
+  "theme.light": "Light",
+  "theme.contrast": "High contrast",
+
+  "alerts.more": "+{count} more",
+
+  "stale.title": "Upstream data is not refreshing",
+  "stale.since": "stale since {time}",
+  "stale.noData": "no data",
+
+  "chart.collecting": "collecting history…",
+  "chart.noData": "no chart data",
+  "chart.loading": "loading chart…",
+  "chart.bandHigh": "24h H",
+  "chart.bandLow": "24h L",
+  "chart.open": "O",
+  "chart.high": "H",
+  "chart.low": "L",
+  "chart.close": "C",
+
+  "export.default": "Export",
+  "embed.unknownCard": "Unknown card \"{card}\"",
+
+  "price.export": "Export price data",
+  "price.range": "Low {low} / High {high}",
+  "price.marketCap": "Market Cap",
+  "price.per24h": " / 24h",
+  "price.mempool": "Mempool: {count} tx",
+
+  "priceChart.export": "Export price chart",
+  "priceChart.title": "ZEC / {currency} chart",
+  "priceChart.toggle": "Toggle line / candles",
+  "priceChart.line": "Line",
+  "priceChart.candles": "Candles",
+
+  "pools.export": "Export supply data",
+  "pools.circulating": "Circulating Supply:",
+  "pools.of": "of",
+  "pools.mined": "{pct}% mined",
+  "pools.shielded": "Shielded Supply",
+  "pools.shieldedShare": "{pct}% of circulating supply",
+
+  "shieldedPools.export": "Export shielded pool data",
+  "shieldedPools.title": "Shielded Pools",
+  "shieldedPools.migration": "Migration to Orchard / {window}",
+  "shieldedPools.legacyOut": "Sprout + Sapling out",
+  "shieldedPools.orchardIn": "Orchard in",
+  "shieldedPools.migrated": "≈ {zec} ZEC moved into Orchard",
+  "shieldedPools.noMovement": "No net movement recorded yet",
+
+  "lockbox.export": "Export lockbox data",
+  "lockbox.asOf": "as of {date}",
+  "lockbox.ofCirculating": " of circulating supply",
+
+  "height.export": "Export chain data",
+  "height.title": "Block Height",
+  "height.tip": "Latest chain tip",
+  "height.mempool": "Mempool",
+  "height.waiting": "tx waiting",
+
+  "treasury.export": "Export treasury table",
+  "treasury.title": "Public treasuries",
+  "treasury.name": "Company",
+  "treasury.holdings": "Holdings",
+  "treasury.entry": "Entry value",
+  "treasury.current": "Current value",
+  "treasury.pnl": "Unrealized PnL",
+  "treasury.pct": "% of supply",
+  "treasury.empty": "No company data",
+  "treasury.total": "Total",
+
+  "watchlist.export": "Export watch-list",
+  "watchlist.title": "Watched addresses",
+  "watchlist.empty": "No addresses configured",
+
+  "issuance.export": "Export issuance data",
+  "issuance.subsidy": "Block subsidy",
+  "issuance.perBlock": "ZEC / block",
+  "issuance.stream.miner": "Miners",
+  "issuance.stream.founders": "Founders' Reward",
+  "issuance.stream.ecc": "Electric Coin Co.",
+  "issuance.stream.zf": "Zcash Foundation",
+  "issuance.stream.mg": "Major Grants",
+  "issuance.stream.lockbox": "Deferred lockbox",
+  "issuance.stream.zcg": "Zcash Community Grants",
+  "issuance.nextHalving": "Next halving",
+  "issuance.blocksToGo": "blocks to go",
+  "issuance.halving": "Block {height} · ~{date} ({days} days) · subsidy drops to {subsidy} ZEC",
+  "issuance.observed": "{seconds} s/block observed over {hours}h · ~{date} at the {target} s target",
+  "issuance.targetOnly": "Using the {target} s block target until enough history is recorded",
+  "issuance.projected": "Projected supply",
+
+  "network.export": "Export network data",
+  "network.title": "Network",
+  "network.difficulty": "Difficulty",
+  "network.hashrate": "Hashrate",
+  "network.blockInterval": "Block interval",
+  "network.txPerBlock": "Tx / block",
+  "network.target": "target {seconds} s",
+  "network.shielded": "Shielded {count}",
+  "network.transparent": "Transparent {count}",
+  "network.sampled": "tx / block over {blocks} blocks",
+
+  "mempool.export": "Export mempool data",
+  "mempool.title": "Mempool",
+  "mempool.waiting": "tx waiting",
+  "mempool.fees": "{bytes} · {zec} ZEC in fees",
+  "mempool.sampled": "Fees, histogram and pools from the first {sampled} of {size} tx",
+  "mempool.feeDistribution": "Fee distribution",
+  "mempool.transparent": "Transparent",
+  "mempool.sapling": "Sapling",
+  "mempool.orchard": "Orchard",
+  "mempool.mixed": "Mixed",
+  "mempool.unknown": "Unknown",
+  "mempool.unavailable": "Fee and pool breakdown needs a node or zcashmetro",
+};
@@ -0,0 +1,128 @@
+// Spanish
+export default {
+  "app.tagline": "LA PRIVACIDAD ES NORMAL",
+  "app.exportAll": "Exportar todo",
+  "app.exportAllTitle": "Exportar todas las estadísticas como PNG",
+  "app.currency": "Moneda de visualización",
+  "app.theme": "Tema",
+  "app.language": "Idioma",
+  "app.crtOn": "CRT ACTIVADO",
+  "app.crtOff": "CRT DESACTIVADO",
+
+  "theme.crt": "CRT oscuro",
+  "theme.dark": "Oscuro",
+  "theme.light": "Claro",
+  "theme.contrast": "Alto contraste",
+
+  "alerts.more": "+{count} más",
+
+  "stale.title": "Los datos de origen no se están actualizando",
+  "stale.since": "desactualizado desde {time}",
+  "stale.noData": "sin datos",
+
+  "chart.collecting": "recopilando historial…",
+  "chart.noData": "sin datos del gráfico",
+  "chart.loading": "cargando gráfico…",
+  "chart.bandHigh": "Máx 24h",
+  "chart.bandLow": "Mín 24h",
+  "chart.open": "A",
+  "chart.high": "Máx",
+  "chart.low": "Mín",
+  "chart.close": "C",
+
+  "export.default": "Exportar",
+  "embed.unknownCard": "Tarjeta desconocida \"{card}\"",
+
+  "price.export": "Exportar datos de precio",
+  "price.range": "Mín {low} / Máx {high}",
+  "price.marketCap": "Capitalización de mercado",
+  "price.per24h": " / 24h",
+  "price.mempool": "Mempool: {count} tx",
+
+  "priceChart.export": "Exportar gráfico de precio",
+  "priceChart.title": "Gráfico ZEC / {currency}",
+  "priceChart.toggle": "Alternar línea / velas",
+  "priceChart.line": "Línea",
+  "priceChart.candles": "Velas",
+
+  "pools.export": "Exportar datos de suministro",
+  "pools.circulating": "Suministro circulante:",
+  "pools.of": "de",
+  "pools.mined": "{pct}% minado",
+  "pools.shielded": "Suministro blindado",
+  "pools.shieldedShare": "{pct}% del suministro circulante",
+
+  "shieldedPools.export": "Exportar datos de los pools blindados",
+  "shieldedPools.title": "Pools blindados",
+  "shieldedPools.migration": "Migración a Orchard / {window}",
+  "shieldedPools.legacyOut": "Salida de Sprout + Sapling",
+  "shieldedPools.orchardIn": "Entrada a Orchard",
+  "shieldedPools.migrated": "≈ {zec} ZEC migrados a Orchard",
+  "shieldedPools.noMovement": "Aún no se ha registrado movimiento neto",
+
+  "lockbox.export": "Exportar datos del lockbox",
+  "lockbox.asOf": "al {date}",
+  "lockbox.ofCirculating": " del suministro circulante",
+
+  "height.export": "Exportar datos de la cadena",
+  "height.title": "Altura de bloque",
+  "height.tip": "Último bloque de la cadena",
+  "height.mempool": "Mempool",
+  "height.waiting": "tx en espera",
+
+  "treasury.export": "Exportar tabla de tesorerías",
+  "treasury.title": "Tesorerías públicas",
+  "treasury.name": "Empresa",
+  "treasury.holdings": "Tenencias",
+  "treasury.entry": "Valor de entrada",
+  "treasury.current": "Valor actual",
+  "treasury.pnl": "PyG no realizada",
+  "treasury.pct": "% del suministro",
+  "treasury.empty": "Sin datos de empresas",
+  "treasury.total": "Total",
+
+  "watchlist.export": "Exportar lista de seguimiento",
+  "watchlist.title": "Direcciones vigiladas",
+  "watchlist.empty": "No hay direcciones configuradas",
+
+  "issuance.export": "Exportar datos de emisión",
+  "issuance.subsidy": "Subsidio por bloque",
+  "issuance.perBlock": "ZEC / bloque",
+  "issuance.stream.miner": "Mineros",
+  "issuance.stream.founders": "Recompensa de los fundadores",
+  "issuance.stream.ecc": "Electric Coin Co.",
+  "issuance.stream.zf": "Zcash Foundation",
+  "issuance.stream.mg": "Major Grants",
+  "issuance.stream.lockbox": "Lockbox diferido",
+  "issuance.stream.zcg": "Zcash Community Grants",
+  "issuance.nextHalving": "Próximo halving",
+  "issuance.blocksToGo": "bloques restantes",
+  "issuance.halving": "Bloque {height} · ~{date} ({days} días) · el subsidio baja a {subsidy} ZEC",
+  "issuance.observed": "{seconds} s/bloque observados en {hours}h · ~{date} con el objetivo de {target} s",
+  "issuance.targetOnly": "Usando el objetivo de {target} s por bloque hasta tener historial suficiente",
+  "issuance.projected": "Suministro proyectado",
+
+  "network.export": "Exportar datos de la red",
+  "network.title": "Red",
+  "network.difficulty": "Dificultad",
+  "network.hashrate": "Tasa de hash",
+  "network.blockInterval": "Intervalo de bloque",
+  "network.txPerBlock": "Tx / bloque",
+  "network.target": "objetivo {seconds} s",
+  "network.shielded": "Blindadas {count}",
+  "network.transparent": "Transparentes {count}",
+  "network.sampled": "tx / bloque en {blocks} bloques",
+
+  "mempool.export": "Exportar datos del mempool",
+  "mempool.title": "Mempool",
+  "mempool.waiting": "tx en espera",
+  "mempool.fees": "{bytes} · {zec} ZEC en comisiones",
+  "mempool.sampled": "Comisiones, histograma y pools de las primeras {sampled} de {size} tx",
+  "mempool.feeDistribution": "Distribución de comisiones",
+  "mempool.transparent": "Transparente",
+  "mempool.sapling": "Sapling",
+  "mempool.orchard": "Orchard",
+  "mempool.mixed": "Mixta",
+  "mempool.unknown": "Desconocida",
+  "mempool.unavailable": "El desglose de comisiones y pools requiere un nodo o zcashmetro",
+};
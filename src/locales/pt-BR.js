@@ -0,0 +1,128 @@
+// Brazilian Portuguese
+export default {
+  "app.tagline": "PRIVACIDADE É NORMAL",
+  "app.exportAll": "Exportar tudo",
+  "app.exportAllTitle": "Exportar todas as estatísticas em PNG",
+  "app.currency": "Moeda de exibição",
+  "app.theme": "Tema",
+  "app.language": "Idioma",
+  "app.crtOn": "CRT LIGADO",
+  "app.crtOff": "CRT DESLIGADO",
+
+  "theme.crt": "CRT escuro",
+  "theme.dark": "Escuro",
+  "theme.light": "Claro",
+  "theme.contrast": "Alto contraste",
+
+  "alerts.more": "+{count} outros",
+
+  "stale.title": "Os dados da fonte não estão sendo atualizados",
+  "stale.since": "desatualizado desde {time}",
+  "stale.noData": "sem dados",
+
+  "chart.collecting": "coletando histórico…",
+  "chart.noData": "sem dados do gráfico",
+  "chart.loading": "carregando gráfico…",
+  "chart.bandHigh": "Máx 24h",
+  "chart.bandLow": "Mín 24h",
+  "chart.open": "A",
+  "chart.high": "Máx",
+  "chart.low": "Mín",
+  "chart.close": "F",
+
+  "export.default": "Exportar",
+  "embed.unknownCard": "Cartão desconhecido \"{card}\"",
+
+  "price.export": "Exportar dados de preço",
+  "price.range": "Mín {low} / Máx {high}",
+  "price.marketCap": "Capitalização de mercado",
+  "price.per24h": " / 24h",
+  "price.mempool": "Mempool: {count} tx",
+
+  "priceChart.export": "Exportar gráfico de preço",
+  "priceChart.title": "Gráfico ZEC / {currency}",
+  "priceChart.toggle": "Alternar linha / velas",
+  "priceChart.line": "Linha",
+  "priceChart.candles": "Velas",
+
+  "pools.export": "Exportar dados de oferta",
+  "pools.circulating": "Oferta circulante:",
+  "pools.of": "de",
+  "pools.mined": "{pct}% minerado",
+  "pools.shielded": "Oferta blindada",
+  "pools.shieldedShare": "{pct}% da oferta circulante",
+
+  "shieldedPools.export": "Exportar dados dos pools blindados",
+  "shieldedPools.title": "Pools blindados",
+  "shieldedPools.migration": "Migração para Orchard / {window}",
+  "shieldedPools.legacyOut": "Saída de Sprout + Sapling",
+  "shieldedPools.orchardIn": "Entrada no Orchard",
+  "shieldedPools.migrated": "≈ {zec} ZEC migrados para o Orchard",
+  "shieldedPools.noMovement": "Nenhuma movimentação líquida registrada ainda",
+
+  "lockbox.export": "Exportar dados do lockbox",
+  "lockbox.asOf": "em {date}",
+  "lockbox.ofCirculating": " da oferta circulante",
+
+  "height.export": "Exportar dados da cadeia",
+  "height.title": "Altura do bloco",
+  "height.tip": "Ponta da cadeia",
+  "height.mempool": "Mempool",
+  "height.waiting": "tx aguardando",
+
+  "treasury.export": "Exportar tabela de tesourarias",
+  "treasury.title": "Tesourarias públicas",
+  "treasury.name": "Empresa",
+  "treasury.holdings": "Posição",
+  "treasury.entry": "Valor de entrada",
+  "treasury.current": "Valor atual",
+  "treasury.pnl": "Resultado não realizado",
+  "treasury.pct": "% da oferta",
+  "treasury.empty": "Sem dados de empresas",
+  "treasury.total": "Total",
+
+  "watchlist.export": "Exportar lista de observação",
+  "watchlist.title": "Endereços observados",
+  "watchlist.empty": "Nenhum endereço configurado",
+
+  "issuance.export": "Exportar dados de emissão",
+  "issuance.subsidy": "Subsídio por bloco",
+  "issuance.perBlock": "ZEC / bloco",
+  "issuance.stream.miner": "Mineradores",
+  "issuance.stream.founders": "Recompensa dos fundadores",
+  "issuance.stream.ecc": "Electric Coin Co.",
+  "issuance.stream.zf": "Zcash Foundation",
+  "issuance.stream.mg": "Major Grants",
+  "issuance.stream.lockbox": "Lockbox diferido",
+  "issuance.stream.zcg": "Zcash Community Grants",
+  "issuance.nextHalving": "Próximo halving",
+  "issuance.blocksToGo": "blocos restantes",
+  "issuance.halving": "Bloco {height} · ~{date} ({days} dias) · subsídio cai para {subsidy} ZEC",
+  "issuance.observed": "{seconds} s/bloco observados em {hours}h · ~{date} na meta de {target} s",
+  "issuance.targetOnly": "Usando a meta de {target} s por bloco até haver histórico suficiente",
+  "issuance.projected": "Oferta projetada",
+
+  "network.export": "Exportar dados da rede",
+  "network.title": "Rede",
+  "network.difficulty": "Dificuldade",
+  "network.hashrate": "Taxa de hash",
+  "network.blockInterval": "Intervalo de bloco",
+  "network.txPerBlock": "Tx / bloco",
+  "network.target": "meta {seconds} s",
+  "network.shielded": "Blindadas {count}",
+  "network.transparent": "Transparentes {count}",
+  "network.sampled": "tx / bloco em {blocks} blocos",
+
+  "mempool.export": "Exportar dados do mempool",
+  "mempool.title": "Mempool",
+  "mempool.waiting": "tx aguardando",
+  "mempool.fees": "{bytes} · {zec} ZEC em taxas",
+  "mempool.sampled": "Taxas, histograma e pools das primeiras {sampled} de {size} tx",
+  "mempool.feeDistribution": "Distribuição de taxas",
+  "mempool.transparent": "Transparente",
+  "mempool.sapling": "Sapling",
+  "mempool.orchard": "Orchard",
+  "mempool.mixed": "Mista",
+  "mempool.unknown": "Desconhecida",
+  "mempool.unavailable": "O detalhamento de taxas e pools requer um nó ou o zcashmetro",
+};
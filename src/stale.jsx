@@ -0,0 +1,34 @@
+import { useI18n } from "./i18n.jsx";
+import { fmtClockTime } from "../shared/format.js";
+
+/* ─── Staleness ─── */
+// Combines the freshness entries ({ fetchedAt, stale, maxAgeMs }) a card
+// depends on. The server flags what it served as stale; the screen also ages
+// entries itself, since a server that stopped pushing can't say so.
+export function staleness(...metas) {
+  let stale = false;
+  let since = null;
+  for (const m of metas) {
+    if (!m) continue;
+    const aged = Number.isFinite(m.fetchedAt) && Number.isFinite(m.maxAgeMs) &&
+      Date.now() - m.fetchedAt > m.maxAgeMs;
+    if (!m.stale && !aged) continue;
+    stale = true;
+    if (Number.isFinite(m.fetchedAt)) since = Math.min(since ?? m.fetchedAt, m.fetchedAt);
+  }
+  return { stale, since };
+}
+
+export function staleClass(state) {
+  return state.stale ? " is-stale" : "";
+}
+
+export function StaleBadge({ state }) {
+  const { t } = useI18n();
+  if (!state.stale) return null;
+  return (
+    <div className="stale-badge" title={t("stale.title")}>
+      {state.since ? t("stale.since", { time: fmtClockTime(state.since) }) : t("stale.noData")}
+    </div>
+  );
+}
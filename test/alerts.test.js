@@ -0,0 +1,23 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { sendWebhooks } from "../server/alerts.js";
+
+describe("sendWebhooks", () => {
+  it("posts once even when the hook answers 5xx", async () => {
+    let posts = 0;
+    const server = http.createServer((req, res) => {
+      posts += 1;
+      req.resume();
+      res.writeHead(503).end();
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/hook`;
+      await sendWebhooks([{ url, format: "json" }], { id: "price", label: "Price", message: "moved" });
+      assert.equal(posts, 1);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,54 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { makeHistoryStore, parseDuration } from "../server/history.js";
+
+const MINUTE = 60_000;
+const DAY = 24 * 60 * MINUTE;
+
+describe("history query bounds", () => {
+  let dir;
+  let store;
+  const now = Date.now();
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "zecstats-history-"));
+    // yesterday at two samples a second: more values per day than fit in a spread call
+    const day = new Date(now - DAY).toISOString().slice(0, 10);
+    const start = Date.parse(day);
+    const lines = [];
+    for (let t = start; t < start + DAY; t += 500) lines.push(JSON.stringify({ t, v: (t - start) / 500 }));
+    await fs.writeFile(path.join(dir, `${day}.jsonl`), `${lines.join("\n")}\n`);
+    store = makeHistoryStore({ dir, sampleIntervalMs: 500, retentionDays: 0, maxPoints: 100 });
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it("clamps the range to the days on disk and to now", async () => {
+    const result = await store.query({ metrics: ["v"], from: 0, to: now + 365 * DAY });
+    assert.equal(result.from, Date.parse(new Date(now - DAY).toISOString().slice(0, 10)));
+    assert.ok(result.to <= Date.now());
+    assert.ok(result.series.v.length > 0);
+    assert.ok(result.series.v.length <= 100);
+  });
+
+  it("raises an explicit resolution to what maxPoints allows", async () => {
+    const from = now - 2 * DAY;
+    const result = await store.query({ metrics: ["v"], from, to: now, resolution: parseDuration("1m") });
+    assert.ok(result.resolution >= (result.to - result.from) / 100);
+    assert.ok(result.series.v.length <= 100);
+
+    const coarse = await store.query({ metrics: ["v"], from, to: now, resolution: 2 * DAY });
+    assert.equal(coarse.resolution, 2 * DAY);
+  });
+
+  it("aggregates min and max over buckets of any size", async () => {
+    const from = now - 2 * DAY;
+    const min = await store.query({ metrics: ["v"], from, to: now, resolution: DAY, agg: "min" });
+    const max = await store.query({ metrics: ["v"], from, to: now, resolution: DAY, agg: "max" });
+    assert.equal(Math.min(...min.series.v.map(([, v]) => v)), 0);
+    assert.equal(Math.max(...max.series.v.map(([, v]) => v)), DAY / 500 - 1);
+  });
+});
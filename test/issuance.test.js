@@ -0,0 +1,193 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BLOSSOM_HEIGHT,
+  ZATS_PER_ZEC,
+  blockSubsidy,
+  estimateHeightAt,
+  estimateTimeOf,
+  halvingHeight,
+  halvingIndex,
+  issuanceSummary,
+  issuedSupply,
+  nextHalvingHeight,
+  observedBlockSeconds,
+  subsidySplit,
+} from "../shared/issuance.js";
+
+const FIRST_HALVING = 1_046_400;
+const SECOND_HALVING = 2_726_400;
+const THIRD_HALVING = 4_406_400;
+
+function shares(split) {
+  return Object.fromEntries(split.streams.map((s) => [s.id, s.zec]));
+}
+
+describe("halvingIndex / halvingHeight", () => {
+  it("puts the halvings at the mainnet heights", () => {
+    assert.equal(halvingHeight(1), FIRST_HALVING);
+    assert.equal(halvingHeight(2), SECOND_HALVING);
+    assert.equal(halvingHeight(3), THIRD_HALVING);
+  });
+
+  it("switches index exactly on each boundary", () => {
+    assert.equal(halvingIndex(0), 0);
+    assert.equal(halvingIndex(BLOSSOM_HEIGHT - 1), 0);
+    assert.equal(halvingIndex(BLOSSOM_HEIGHT), 0);
+    assert.equal(halvingIndex(FIRST_HALVING - 1), 0);
+    assert.equal(halvingIndex(FIRST_HALVING), 1);
+    assert.equal(halvingIndex(SECOND_HALVING - 1), 1);
+    assert.equal(halvingIndex(SECOND_HALVING), 2);
+    assert.equal(halvingIndex(THIRD_HALVING - 1), 2);
+    assert.equal(halvingIndex(THIRD_HALVING), 3);
+  });
+
+  it("finds the next halving from any height", () => {
+    assert.equal(nextHalvingHeight(500_000), FIRST_HALVING);
+    assert.equal(nextHalvingHeight(FIRST_HALVING - 1), FIRST_HALVING);
+    assert.equal(nextHalvingHeight(FIRST_HALVING), SECOND_HALVING);
+    assert.equal(nextHalvingHeight(3_100_000), THIRD_HALVING);
+  });
+});
+
+describe("blockSubsidy", () => {
+  it("ramps up linearly during slow start", () => {
+    assert.equal(blockSubsidy(0), 0);
+    assert.equal(blockSubsidy(1), 0.000625);
+    assert.equal(blockSubsidy(9_999), 6.249375);
+    // the second half of the ramp is shifted by one block
+    assert.equal(blockSubsidy(10_000), 6.250625);
+    assert.equal(blockSubsidy(19_999), 12.5);
+  });
+
+  it("pays 12.5 ZEC until Blossom halves the block time", () => {
+    assert.equal(blockSubsidy(20_000), 12.5);
+    assert.equal(blockSubsidy(BLOSSOM_HEIGHT - 1), 12.5);
+    assert.equal(blockSubsidy(BLOSSOM_HEIGHT), 6.25);
+  });
+
+  it("halves at each halving", () => {
+    assert.equal(blockSubsidy(FIRST_HALVING - 1), 6.25);
+    assert.equal(blockSubsidy(FIRST_HALVING), 3.125);
+    assert.equal(blockSubsidy(SECOND_HALVING - 1), 3.125);
+    assert.equal(blockSubsidy(SECOND_HALVING), 1.5625);
+    assert.equal(blockSubsidy(THIRD_HALVING), 0.78125);
+  });
+});
+
+describe("subsidySplit", () => {
+  it("gives 20% to the Founders' Reward before the first halving", () => {
+    const split = subsidySplit(1_000_000);
+    assert.deepEqual(shares(split), { founders: 1.25 });
+    assert.equal(split.miner, 5);
+  });
+
+  it("splits the ZIP 214 dev fund 7/5/8 after the first halving", () => {
+    const split = subsidySplit(FIRST_HALVING);
+    assert.deepEqual(shares(split), { ecc: 0.21875, zf: 0.15625, mg: 0.25 });
+    assert.equal(split.miner, 2.5);
+    assert.equal(subsidySplit(SECOND_HALVING - 1).streams.length, 3);
+  });
+
+  it("sends 12% to the lockbox and 8% to ZCG after the second halving", () => {
+    const split = subsidySplit(SECOND_HALVING);
+    assert.deepEqual(shares(split), { lockbox: 0.1875, zcg: 0.125 });
+    assert.deepEqual(split.streams.map((s) => s.share), [0.12, 0.08]);
+    assert.equal(split.miner, 1.25);
+  });
+
+  it("leaves everything to the miner once the streams end", () => {
+    const split = subsidySplit(THIRD_HALVING);
+    assert.deepEqual(split.streams, []);
+    assert.equal(split.miner, split.subsidy);
+  });
+
+  it("never pays out more than the subsidy", () => {
+    for (const height of [1, 12_345, 500_000, 1_500_000, 3_000_000]) {
+      const split = subsidySplit(height);
+      const total = split.miner + split.streams.reduce((sum, s) => sum + s.zec, 0);
+      assert.equal(Math.round(total * ZATS_PER_ZEC), Math.round(split.subsidy * ZATS_PER_ZEC));
+    }
+  });
+});
+
+describe("issuedSupply", () => {
+  it("matches the known totals at the schedule's milestones", () => {
+    assert.equal(issuedSupply(-1), 0);
+    assert.equal(issuedSupply(0), 0);
+    assert.equal(issuedSupply(19_999), 125_000);
+    assert.equal(issuedSupply(BLOSSOM_HEIGHT - 1), 8_045_000);
+    assert.equal(issuedSupply(FIRST_HALVING - 1), 10_500_000);
+    assert.equal(issuedSupply(SECOND_HALVING - 1), 15_750_000);
+  });
+
+  it("equals the sum of every block subsidy", () => {
+    let zats = 0;
+    const checkpoints = new Set([1, 9_999, 10_000, 15_000, 20_000, BLOSSOM_HEIGHT, 800_000, FIRST_HALVING]);
+    for (let height = 0; height <= FIRST_HALVING; height += 1) {
+      zats += Math.round(blockSubsidy(height) * ZATS_PER_ZEC);
+      if (checkpoints.has(height)) assert.equal(issuedSupply(height), zats / ZATS_PER_ZEC, `height ${height}`);
+    }
+  });
+});
+
+describe("observedBlockSeconds", () => {
+  const samples = (blocks, seconds) => [[0, 1_000], [blocks * seconds * 1000, 1_000 + blocks]];
+
+  it("needs at least minBlocks between the first and last sample", () => {
+    assert.equal(observedBlockSeconds(samples(19, 75)), null);
+    assert.equal(observedBlockSeconds(samples(20, 75)), 75);
+    assert.equal(observedBlockSeconds(samples(5, 60), 5), 60);
+  });
+
+  it("ignores bad samples and empty input", () => {
+    assert.equal(observedBlockSeconds(null), null);
+    assert.equal(observedBlockSeconds([[0, 1_000]]), null);
+    assert.equal(observedBlockSeconds([[0, 1_000], [NaN, 1_010], [3_000_000, 1_040]]), 75);
+  });
+});
+
+describe("estimateHeightAt / estimateTimeOf", () => {
+  const chain = { height: 3_000_000, at: 1_700_000_000_000 };
+
+  it("projects at the target block time by default", () => {
+    assert.equal(estimateTimeOf(3_000_100, chain), chain.at + 100 * 75_000);
+    assert.equal(estimateHeightAt(chain.at + 100 * 75_000, chain), 3_000_100);
+  });
+
+  it("uses the given block time and rounds heights down", () => {
+    const slow = { ...chain, blockSeconds: 80 };
+    assert.equal(estimateTimeOf(3_000_010, slow), chain.at + 800_000);
+    assert.equal(estimateHeightAt(chain.at + 799_999, slow), 3_000_009);
+  });
+
+  it("is each other's inverse", () => {
+    const t = estimateTimeOf(THIRD_HALVING, chain);
+    assert.equal(estimateHeightAt(t, chain), THIRD_HALVING);
+  });
+});
+
+describe("issuanceSummary", () => {
+  it("is null without a height", () => {
+    assert.equal(issuanceSummary({ height: null }), null);
+  });
+
+  it("reports the next halving and projections", () => {
+    const at = 1_700_000_000_000;
+    const summary = issuanceSummary({ height: 3_100_000, at, projectYears: [1] });
+    assert.equal(summary.halving, 2);
+    assert.equal(summary.subsidy, 1.5625);
+    assert.equal(summary.blockSeconds, 75);
+    assert.equal(summary.nextHalving.height, THIRD_HALVING);
+    assert.equal(summary.nextHalving.blocks, THIRD_HALVING - 3_100_000);
+    assert.equal(summary.nextHalving.eta, at + (THIRD_HALVING - 3_100_000) * 75_000);
+    assert.equal(summary.nextHalving.subsidy, 0.78125);
+    assert.equal(summary.projections.length, 1);
+    assert.ok(summary.projections[0].supply > summary.issued);
+  });
+
+  it("falls back to the target when the observed block time is unusable", () => {
+    assert.equal(issuanceSummary({ height: 3_100_000, blockSeconds: 0 }).blockSeconds, 75);
+    assert.equal(issuanceSummary({ height: 3_100_000, blockSeconds: 80 }).blockSeconds, 80);
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { summarizeMempool } from "../server/mempool.js";
+
+describe("summarizeMempool", () => {
+  it("says how many transactions the totals were sampled from", () => {
+    const transactions = [
+      { txid: "a", size: 250, fee: 0.0001, time: 1, tx: null },
+      { txid: "b", size: 750, fee: 0.0002, time: 2, tx: null },
+    ];
+    const summary = summarizeMempool({ size: 900, transactions });
+    assert.equal(summary.size, 900);
+    assert.equal(summary.sampled, 2);
+    assert.equal(summary.bytes, 1000);
+    assert.equal(summary.types.unknown, 2);
+  });
+
+  it("falls back to the sample when the pool size is missing", () => {
+    const summary = summarizeMempool({ transactions: [{ txid: "a", size: 100, fee: 0, time: 1, tx: null }] });
+    assert.equal(summary.size, 1);
+    assert.equal(summary.sampled, 1);
+  });
+});
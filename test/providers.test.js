@@ -0,0 +1,163 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { makeProviderChain, rpcMempoolDetail, rpcNetwork } from "../server/providers.js";
+import { delay } from "../server/util.js";
+
+// A JSON-RPC client double: `handlers[method](params)` returns the result or throws
+function fakeClient(handlers) {
+  const calls = [];
+  return {
+    calls,
+    async call(method, params = []) {
+      calls.push([method, params]);
+      return handlers[method](params);
+    },
+  };
+}
+
+function rpcError(code, message) {
+  const err = new Error(`rpc -> ${message} (${code})`);
+  err.code = code;
+  return err;
+}
+
+describe("makeProviderChain", () => {
+  function adapter(name, fetch) {
+    return { name, fetch };
+  }
+
+  it("fails over and cools a failing provider down", async () => {
+    const chain = makeProviderChain("price", [
+      adapter("a", async () => {
+        throw new Error("down");
+      }),
+      adapter("b", async (vs) => ({ vs })),
+    ]);
+
+    assert.deepEqual(await chain.fetch("usd"), { data: { vs: "usd" }, source: "b" });
+    const [a, b] = chain.health();
+    assert.equal(a.status, "failing");
+    assert.equal(a.consecutiveFailures, 1);
+    assert.ok(a.cooldownUntil > Date.now());
+    assert.equal(b.status, "ok");
+  });
+
+  it("doesn't hold an argument the provider rejects against the provider", async () => {
+    const calls = [];
+    const chain = makeProviderChain("price", [
+      adapter("a", async (vs) => {
+        calls.push(vs);
+        if (vs === "xau") throw Object.assign(new Error("a: no XAU quote"), { unsupported: true });
+        return { vs };
+      }),
+      adapter("b", async (vs) => ({ vs, from: "b" })),
+    ]);
+
+    assert.equal((await chain.fetch("usd")).source, "a");
+    assert.equal((await chain.fetch("xau")).source, "b");
+    const [a] = chain.health();
+    assert.equal(a.status, "ok");
+    assert.equal(a.consecutiveFailures, 0);
+    assert.equal(a.cooldownUntil, 0);
+    // still first in line for every other currency
+    assert.equal((await chain.fetch("eur")).source, "a");
+    assert.deepEqual(calls, ["usd", "xau", "eur"]);
+  });
+});
+
+describe("rpcMempoolDetail", () => {
+  it("decodes at most `concurrency` transactions at a time", async () => {
+    const txids = Array.from({ length: 50 }, (_, i) => `tx${i}`);
+    let inFlight = 0;
+    let peak = 0;
+    const client = fakeClient({
+      getrawmempool: () => Object.fromEntries(txids.map((txid) => [txid, { size: 100, fee: 0.0001 }])),
+      async getrawtransaction([txid]) {
+        inFlight += 1;
+        peak = Math.max(peak, inFlight);
+        await delay(1);
+        inFlight -= 1;
+        return { txid };
+      },
+    });
+
+    const result = await rpcMempoolDetail(client, { maxTx: 40, concurrency: 4 }).fetch();
+    assert.equal(peak, 4);
+    assert.equal(result.size, 50);
+    assert.deepEqual(result.transactions.map((t) => t.tx.txid), txids.slice(0, 40));
+  });
+
+  it("keeps transactions that were mined before they could be decoded", async () => {
+    const client = fakeClient({
+      getrawmempool: () => ({ a: { size: 1 }, b: { size: 2 } }),
+      getrawtransaction: ([txid]) => {
+        if (txid === "a") throw rpcError(-5, "No such mempool or blockchain transaction");
+        return { txid };
+      },
+    });
+
+    const { transactions } = await rpcMempoolDetail(client).fetch();
+    assert.deepEqual(transactions.map((t) => t.tx), [null, { txid: "b" }]);
+  });
+});
+
+describe("rpcNetwork", () => {
+  const coinbase = { vin: [{ coinbase: "00" }] };
+  const shielded = { vin: [{}], orchard: { actions: [{}] } };
+
+  function node({ getblock }) {
+    return fakeClient({
+      getblockchaininfo: () => ({ blocks: 101, difficulty: 1 }),
+      getnetworksolps: () => 5,
+      getblock: ([height, verbosity]) => getblock(Number(height), verbosity),
+    });
+  }
+
+  it("refetches a block as a txid list only when the node rejects verbosity 2", async () => {
+    const client = node({
+      getblock(height, verbosity) {
+        if (height === 101 && verbosity === 2) throw rpcError(-8, "Verbosity must be in range from 0 to 1");
+        return { time: height * 75, tx: verbosity === 2 ? [coinbase, shielded] : ["cb", "t1"] };
+      },
+    });
+
+    const network = rpcNetwork(client, { blocks: 2 });
+    const result = await network.fetch();
+    assert.equal(result.blocksSampled, 2);
+    assert.equal(result.txPerBlock, 1);
+    assert.deepEqual(
+      client.calls.filter(([method]) => method === "getblock").map(([, params]) => params),
+      [["101", 2], ["100", 2], ["101", 1]]
+    );
+
+    // the next refresh tries verbosity 2 again
+    client.calls.length = 0;
+    await network.fetch();
+    const retried = client.calls.find(([method, [height]]) => method === "getblock" && height === "100");
+    assert.deepEqual(retried[1], ["100", 2]);
+  });
+
+  it("falls back on zebrad's invalid params error", async () => {
+    const client = node({
+      getblock(height, verbosity) {
+        if (verbosity === 2) throw rpcError(-32602, "Invalid params");
+        return { time: height * 75, tx: ["cb", "t1", "t2"] };
+      },
+    });
+
+    const result = await rpcNetwork(client, { blocks: 2 }).fetch();
+    assert.equal(result.txPerBlock, 2);
+    assert.equal(result.shieldedTxPerBlock, null);
+  });
+
+  it("surfaces other RPC errors instead of downgrading", async () => {
+    const client = node({
+      getblock() {
+        throw rpcError(-8, "Block height out of range");
+      },
+    });
+
+    await assert.rejects(rpcNetwork(client, { blocks: 2 }).fetch(), /out of range/);
+    assert.ok(client.calls.every(([method, params]) => method !== "getblock" || params[1] === 2));
+  });
+});
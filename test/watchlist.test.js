@@ -0,0 +1,55 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { makeWatchlist } from "../server/watchlist.js";
+
+const ADDRESS = "t1XhLcDnGDJkB2hpRvgdv5VLXkRfWYmVH7d";
+const entries = [{ id: "a", label: "A", address: ADDRESS, thresholdZec: 1 }];
+
+async function eventLines(dir) {
+  const raw = await fs.readFile(path.join(dir, "events.jsonl"), "utf8");
+  return raw.split("\n").filter(Boolean);
+}
+
+// The watchlist queues its file writes; poll until `done(lines)` or give up
+async function waitForLines(dir, done) {
+  let lines = [];
+  for (let tries = 0; tries < 100; tries += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    lines = await eventLines(dir).catch(() => []);
+    if (done(lines)) break;
+  }
+  return lines;
+}
+
+describe("watchlist events file", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "zecstats-watchlist-"));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it("trims an oversized log to maxEvents on load", async () => {
+    const lines = Array.from({ length: 30 }, (_, i) => JSON.stringify({ t: i, address: ADDRESS }));
+    await fs.writeFile(path.join(dir, "events.jsonl"), `${lines.join("\n")}\n{"torn`);
+
+    const watchlist = makeWatchlist({ dir, entries, maxEvents: 10 });
+    const events = await watchlist.events({ limit: 100 });
+    assert.equal(events.length, 10);
+    assert.equal(events[0].t, 29);
+
+    assert.deepEqual(await waitForLines(dir, (l) => l.length === 10), lines.slice(-10));
+  });
+
+  it("stays bounded while events keep coming", async () => {
+    const watchlist = makeWatchlist({ dir, entries, maxEvents: 5 });
+    for (let i = 0; i <= 40; i += 1) await watchlist.observe(ADDRESS, i * 10, i);
+    const lines = await waitForLines(dir, (l) => l.length && JSON.parse(l.at(-1)).balance === 400);
+    assert.ok(lines.length < 10, `${lines.length} lines`);
+    assert.deepEqual(lines.slice(-5).map((l) => JSON.parse(l).balance), [360, 370, 380, 390, 400]);
+  });
+});
@@ -1,9 +1,19 @@
+import { resolve } from 'path';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
 export default defineConfig({
   plugins: [react()],
   publicDir: 'assets',
+  build: {
+    rollupOptions: {
+      // The dashboard, plus the single-card page served at /embed/:card
+      input: {
+        main: resolve(__dirname, 'index.html'),
+        embed: resolve(__dirname, 'embed.html'),
+      },
+    },
+  },
   server: {
     proxy: {
       '/api': 'http://localhost:4000',